@@ -0,0 +1,108 @@
+import { HttpError, createLogger, errorResponse } from './_shared/http.js'
+import { createServiceClient } from './_shared/supabase.js'
+
+/**
+ * Runs in front of every Pages Function (and static asset):
+ *   1. requestContext – request id, structured logger, lazy service client, access log
+ *   2. headers        – CORS for allowed origins + security headers
+ *   3. errors         – thrown errors → { error: { code, message, request_id } }
+ * functions/api/_middleware.js (rate limiting and auth) runs after these.
+ */
+export const onRequest = [requestContext, headers, errors]
+
+async function requestContext(context) {
+  const { request, env, data } = context
+  const url   = new URL(request.url)
+  const isApi = url.pathname.startsWith('/api/')
+
+  data.requestId = crypto.randomUUID()
+  data.user      = null
+  data.log = createLogger({ request_id: data.requestId, method: request.method, path: url.pathname })
+
+  let service = null
+  Object.defineProperty(data, 'service', {
+    get: () => (service ||= createServiceClient(env)),
+  })
+
+  const started  = Date.now()
+  const response = withHeaders(await context.next(), { 'X-Request-Id': data.requestId })
+
+  if (isApi) {
+    data.log.info('request', {
+      status:      response.status,
+      duration_ms: Date.now() - started,
+      user_id:     data.user?.id ?? null,
+      ray:         request.headers.get('CF-Ray'),
+    })
+  }
+  return response
+}
+
+const SECURITY_HEADERS = {
+  'X-Content-Type-Options':    'nosniff',
+  'X-Frame-Options':           'DENY',
+  'Referrer-Policy':           'strict-origin-when-cross-origin',
+  'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+}
+
+/**
+ * The app calls /api same-origin; other origins (e.g. the Vite dev server)
+ * need to be listed in WORKER_ORIGIN or CORS_ORIGINS (comma-separated).
+ */
+async function headers(context) {
+  const { request, env } = context
+  const origin  = request.headers.get('Origin')
+  const allowed = origin && allowedOrigins(env).includes(origin)
+  const cors    = allowed
+    ? { 'Access-Control-Allow-Origin': origin, 'Vary': 'Origin' }
+    : {}
+
+  const isPreflight = request.method === 'OPTIONS' && request.headers.has('Access-Control-Request-Method')
+  if (isPreflight && new URL(request.url).pathname.startsWith('/api/')) {
+    return new Response(null, {
+      status: allowed ? 204 : 403,
+      headers: {
+        ...SECURITY_HEADERS,
+        ...cors,
+        ...(allowed && {
+          'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE',
+          'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+          'Access-Control-Max-Age':       '86400',
+        }),
+      },
+    })
+  }
+
+  return withHeaders(await context.next(), { ...SECURITY_HEADERS, ...cors })
+}
+
+function allowedOrigins(env) {
+  return [env.WORKER_ORIGIN, ...(env.CORS_ORIGINS || '').split(',')]
+    .map(o => (o || '').trim())
+    .filter(Boolean)
+}
+
+async function errors(context) {
+  const { data } = context
+  try {
+    return await context.next()
+  } catch (err) {
+    const httpError = err instanceof HttpError
+      ? err
+      : new HttpError(500, 'Internal error', { cause: err })
+
+    if (httpError.status >= 500) {
+      data.log.error(httpError.message, { status: httpError.status, error: httpError.cause ?? httpError })
+    } else {
+      data.log.warn(httpError.message, { status: httpError.status, code: httpError.code })
+    }
+    return errorResponse(httpError, data.requestId)
+  }
+}
+
+// Responses from fetch()/Response.redirect() have immutable headers
+function withHeaders(response, extra) {
+  const copy = new Response(response.body, response)
+  for (const [name, value] of Object.entries(extra)) copy.headers.set(name, value)
+  return copy
+}
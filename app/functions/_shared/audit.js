@@ -0,0 +1,46 @@
+// ─── Admin audit log ─────────────────────────────────────────────────────────
+// Every /api/admin/* mutation calls writeAudit() once per changed target;
+// functions/api/admin/_middleware.js flags mutations that finish without one.
+
+/**
+ * Keeps only the fields that differ between `before` and `after` (either may
+ * be null for creates/deletes), so log entries show the diff, not whole rows.
+ */
+export function auditDiff(before, after) {
+  if (!before || !after) return { before: before ?? null, after: after ?? null }
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  const diff = { before: {}, after: {} }
+  for (const key of keys) {
+    if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue
+    diff.before[key] = before[key] ?? null
+    diff.after[key]  = after[key] ?? null
+  }
+  return diff
+}
+
+/**
+ * Appends one entry for the signed-in admin (context.data.user):
+ *   action      – '<target type>.<verb>', e.g. 'role.grant'
+ *   targetType  – e.g. 'user', 'dish'
+ *   targetId    – primary key of the target (stringified)
+ *   targetLabel – human-readable name (email, dish name)
+ *   before/after – passed through auditDiff()
+ * The change itself has already been made, so a failed write is logged at
+ * error level rather than failing the request.
+ */
+export async function writeAudit(data, { action, targetType, targetId, targetLabel = null, before = null, after = null }) {
+  const diff = auditDiff(before, after)
+  const { error } = await data.service.from('admin_audit_log').insert({
+    actor_id:     data.user.id,
+    actor_email:  data.user.email,
+    action,
+    target_type:  targetType,
+    target_id:    String(targetId),
+    target_label: targetLabel,
+    before:       diff.before,
+    after:        diff.after,
+    request_id:   data.requestId,
+  })
+  data.auditLogged = true
+  if (error) data.log.error('Audit log insert failed', { error, action, target_id: String(targetId) })
+}
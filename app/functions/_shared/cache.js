@@ -0,0 +1,31 @@
+// ─── Short-lived response cache ─────────────────────────────────────────────
+// Thin wrapper over the Workers Cache API (caches.default, per data center).
+// Only for responses that are the same for every caller allowed to see them:
+// check permissions before calling, and build the key from validated params.
+
+/**
+ * Returns the cached JSON for `key` (a URL), or builds it with `build()` and
+ * stores it for `ttlSeconds`. The response carries X-Cache: HIT | MISS and is
+ * never cached by the browser. Falls through to `build()` where the Cache API
+ * isn't available (e.g. plain Node in tests).
+ */
+export async function cachedJson(context, key, ttlSeconds, build) {
+  const cache    = typeof caches !== 'undefined' ? caches.default : null
+  const cacheKey = new Request(key)
+
+  const hit = cache ? await cache.match(cacheKey) : null
+  if (hit) return forClient(hit, 'HIT')
+
+  const response = Response.json(await build(), {
+    headers: { 'Cache-Control': `public, max-age=${ttlSeconds}` },
+  })
+  if (cache) context.waitUntil(cache.put(cacheKey, response.clone()))
+  return forClient(response, 'MISS')
+}
+
+function forClient(response, status) {
+  const out = new Response(response.body, response)
+  out.headers.set('Cache-Control', 'no-store')
+  out.headers.set('X-Cache', status)
+  return out
+}
@@ -0,0 +1,24 @@
+// Menus, emails and pauses are all keyed by the campus-local calendar date.
+const CAMPUS_TZ = 'America/New_York'
+
+/** Today's date in the campus timezone as YYYY-MM-DD. */
+export function todayInCampusTz() {
+  // en-CA formats as YYYY-MM-DD
+  return new Date().toLocaleDateString('en-CA', { timeZone: CAMPUS_TZ })
+}
+
+/** Adds whole days to a YYYY-MM-DD date. */
+export function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`)
+  d.setUTCDate(d.getUTCDate() + days)
+  return d.toISOString().split('T')[0]
+}
+
+/** Midnight at the start of a campus-local YYYY-MM-DD date, as an ISO timestamp. */
+export function campusDayStart(dateStr) {
+  // Offset such as "GMT-04:00"; DST switches at 2am, so UTC midnight has the same one
+  const offset = new Intl.DateTimeFormat('en-US', { timeZone: CAMPUS_TZ, timeZoneName: 'longOffset' })
+    .formatToParts(new Date(`${dateStr}T00:00:00Z`))
+    .find(p => p.type === 'timeZoneName').value
+  return new Date(`${dateStr}T00:00:00${offset.replace('GMT', '') || 'Z'}`).toISOString()
+}
@@ -22,3 +22,71 @@ export async function hmacVerify(secret, data, token) {
   }
   return diff === 0
 }
+
+// ─── Versioned action tokens ────────────────────────────────────────────────
+// Format: "v2.<exp>.<sig>" where exp is a unix timestamp (seconds) and sig is
+// HMAC-SHA256 over "v2|<action>|<email>|<scope>|<exp>". The scope binds the
+// token to a specific target, e.g. "<menu_id>|<date>" for rating links.
+// Must stay in sync with generate_action_token() in recommend_daily.py.
+
+const TOKEN_VERSION = 'v2'
+
+export function actionTokenPayload(action, email, scope, exp) {
+  return [TOKEN_VERSION, action, email.toLowerCase(), scope, exp].join('|')
+}
+
+export async function signActionToken(secret, { action, email, scope = '', ttlSeconds }) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds
+  const sig = await hmacSign(secret, actionTokenPayload(action, email, scope, exp))
+  return `${TOKEN_VERSION}.${exp}.${sig}`
+}
+
+/**
+ * Verifies an action token against HMAC_SECRET, falling back to
+ * HMAC_SECRET_PREVIOUS while a key rotation is in progress.
+ *
+ * Legacy email-only tokens are accepted until HMAC_LEGACY_UNTIL (ISO date),
+ * and only for `unsubscribe`, so unsubscribe links sent before the v2 format
+ * keep working for a grace period. They bind no action or scope, so old
+ * rating links are rejected: accepting them would allow any rating.
+ *
+ * Returns { valid: boolean, error: string|null }.
+ */
+export async function verifyActionToken(env, { action, email, scope = '', token }) {
+  const secrets = [env.HMAC_SECRET, env.HMAC_SECRET_PREVIOUS].filter(Boolean)
+  if (secrets.length === 0 || !token) {
+    return { valid: false, error: 'Invalid or tampered token' }
+  }
+
+  if (!token.startsWith(`${TOKEN_VERSION}.`)) {
+    const legacyUntil = env.HMAC_LEGACY_UNTIL ? Date.parse(env.HMAC_LEGACY_UNTIL) : NaN
+    if (action !== 'unsubscribe' || isNaN(legacyUntil) || Date.now() > legacyUntil) {
+      return { valid: false, error: 'This link has expired' }
+    }
+    for (const secret of secrets) {
+      if (await hmacVerify(secret, email.toLowerCase(), token)) {
+        return { valid: true, error: null }
+      }
+    }
+    return { valid: false, error: 'Invalid or tampered token' }
+  }
+
+  const [, expStr, sig] = token.split('.')
+  const exp = parseInt(expStr || '', 10)
+  if (!exp || !sig) {
+    return { valid: false, error: 'Invalid or tampered token' }
+  }
+
+  const payload = actionTokenPayload(action, email, scope, exp)
+  let matched = false
+  for (const secret of secrets) {
+    if (await hmacVerify(secret, payload, sig)) { matched = true; break }
+  }
+  if (!matched) {
+    return { valid: false, error: 'Invalid or tampered token' }
+  }
+  if (Math.floor(Date.now() / 1000) > exp) {
+    return { valid: false, error: 'This link has expired' }
+  }
+  return { valid: true, error: null }
+}
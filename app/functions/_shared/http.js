@@ -0,0 +1,68 @@
+// ─── Errors and logging ─────────────────────────────────────────────────────
+// Handlers throw HttpError; functions/_middleware.js turns it (or any other
+// thrown error, as a 500) into the JSON envelope
+//   { error: { code, message, request_id, details? } }
+// and logs it with the request id.
+
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  405: 'method_not_allowed',
+  409: 'conflict',
+  429: 'rate_limited',
+  500: 'internal_error',
+}
+
+export class HttpError extends Error {
+  /**
+   * status  – HTTP status
+   * message – shown to the client (5xx messages too, so keep them generic)
+   * code    – machine-readable, defaults from the status
+   * details – extra client-facing data (e.g. validation errors)
+   * headers – added to the response (e.g. Retry-After)
+   * cause   – logged server-side only (e.g. a Supabase error)
+   */
+  constructor(status, message, { code, details, headers, cause } = {}) {
+    super(message, { cause })
+    this.name    = 'HttpError'
+    this.status  = status
+    this.code    = code || STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'error')
+    this.details = details
+    this.headers = headers
+  }
+}
+
+export function errorResponse(err, requestId) {
+  const body = { code: err.code, message: err.message, request_id: requestId }
+  if (err.details !== undefined) body.details = err.details
+  return Response.json({ error: body }, { status: err.status, headers: err.headers })
+}
+
+/**
+ * One JSON object per line, so Cloudflare's log search can filter on fields.
+ * `base` (request id, method, path) is merged into every entry.
+ */
+export function createLogger(base = {}) {
+  const write = (level, msg, fields = {}) => {
+    const entry = { level, msg, ...base, ...fields }
+    if (entry.error !== undefined) entry.error = serializeError(entry.error)
+    const line = JSON.stringify(entry)
+    if (level === 'error') console.error(line)
+    else console.log(line)
+  }
+  return {
+    info:  (msg, fields) => write('info', msg, fields),
+    warn:  (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+  }
+}
+
+// Supabase errors are plain objects; Error instances lose their fields in JSON
+function serializeError(err) {
+  if (!(err instanceof Error)) return err
+  const out = { name: err.name, message: err.message, stack: err.stack }
+  if (err.cause !== undefined) out.cause = serializeError(err.cause)
+  return out
+}
@@ -0,0 +1,166 @@
+/**
+ * Fixed-window rate limits for /api (applied by functions/api/_middleware.js).
+ *
+ * The first rule whose `path` matches (exact, or prefix when it ends in '/')
+ * applies. Each limit counts requests per `by` key:
+ *   ip    – CF-Connecting-IP
+ *   token – request method + hash of the `token` query param or form field
+ *           (signed email-link endpoints). Each link, GET and POST apart,
+ *           has its own budget; keying on the unverified `email` would let
+ *           forged requests lock a student out of their real links.
+ *   user  – verified Supabase user id from context.data.user (skipped for
+ *           anonymous requests, so a forged token can't exhaust someone else's)
+ */
+export const RATE_LIMIT_RULES = [
+  // Bearer CRON_SECRET; called once a day by the workflow
+  { path: '/api/cron/', limits: [] },
+
+  // Unauthenticated email-link endpoints: each request does a profile lookup
+  ...['/api/rate', '/api/unsubscribe', '/api/pause', '/api/resubscribe'].map(path => ({
+    path,
+    limits: [
+      { by: 'ip',    limit: 30, windowSeconds: 60 },
+      { by: 'token', limit: 20, windowSeconds: 60 * 60 },
+    ],
+  })),
+
+  // Whole-account reads/writes
+  // Import allows several requests per restore: big exports are sent in batches
+  { path: '/api/import', limits: [{ by: 'user', limit: 20, windowSeconds: 60 * 60 }, { by: 'ip', limit: 40, windowSeconds: 60 * 60 }] },
+  { path: '/api/export', limits: [{ by: 'user', limit: 10, windowSeconds: 60 * 60 }, { by: 'ip', limit: 30, windowSeconds: 60 * 60 }] },
+
+  // Everything else under /api
+  {
+    path: '/api/',
+    limits: [
+      { by: 'ip',   limit: 300, windowSeconds: 60 },
+      { by: 'user', limit: 120, windowSeconds: 60 },
+    ],
+  },
+]
+
+// Limits that need no verified user, checked before the JWT is verified so a
+// flood of bogus Authorization headers never reaches Supabase
+export const PRE_AUTH_KEYS = ['ip', 'token']
+
+/**
+ * Counts the request against the limits of the matching rule whose `by` is
+ * in `keys` (default: all). Returns null when allowed, otherwise
+ * { rule, limit, subject, count, retryAfter } for the first limit exceeded.
+ */
+export async function checkRateLimit(request, user, store, { keys = null, rules = RATE_LIMIT_RULES } = {}) {
+  const url  = new URL(request.url)
+  const rule = rules.find(r => r.path.endsWith('/') ? url.pathname.startsWith(r.path) : url.pathname === r.path)
+  if (!rule) return null
+
+  const now = Math.floor(Date.now() / 1000)
+  for (const limit of rule.limits) {
+    if (keys && !keys.includes(limit.by)) continue
+    const subject = await limitSubject(limit.by, request, user, url)
+    if (!subject) continue
+
+    const windowStart = now - (now % limit.windowSeconds)
+    const key   = `rl:${rule.path}:${limit.by}:${subject}:${windowStart}`
+    const count = await store.increment(key, limit.windowSeconds)
+    if (count > limit.limit) {
+      return { rule, limit, subject, count, retryAfter: windowStart + limit.windowSeconds - now }
+    }
+  }
+  return null
+}
+
+async function limitSubject(by, request, user, url) {
+  if (by === 'ip') return request.headers.get('CF-Connecting-IP') || 'unknown'
+
+  if (by === 'token') {
+    let token = url.searchParams.get('token')
+    const type = request.headers.get('Content-Type') || ''
+    if (!token && request.method === 'POST' && type.includes('form')) {
+      const form = await request.clone().formData().catch(() => null)
+      token = form?.get('token')
+    }
+    if (typeof token !== 'string' || !token.trim()) return null
+    // Hashed so abuse_events never stores a usable link token
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token.trim()))
+    const hex    = [...new Uint8Array(digest).slice(0, 12)].map(b => b.toString(16).padStart(2, '0')).join('')
+    return `${request.method}:${hex}`
+  }
+
+  if (by === 'user') return user?.id || null
+
+  return null
+}
+
+// ─── Stores ──────────────────────────────────────────────────────────────────
+// A store has one method: increment(key, ttlSeconds) → Promise<count>, where
+// count includes this request and the key may be dropped after ttlSeconds.
+
+/**
+ * Per-isolate counters. Used for `wrangler pages dev` and when no binding is
+ * configured; in production each isolate counts separately, so limits are
+ * only approximate.
+ */
+export function createMemoryStore() {
+  const counters = new Map()
+  return {
+    async increment(key, ttlSeconds) {
+      const now = Date.now()
+      if (counters.size > 10000) {
+        for (const [k, c] of counters) if (c.expiresAt <= now) counters.delete(k)
+      }
+      const entry = counters.get(key)
+      if (!entry || entry.expiresAt <= now) {
+        counters.set(key, { count: 1, expiresAt: now + ttlSeconds * 1000 })
+        return 1
+      }
+      entry.count += 1
+      return entry.count
+    },
+  }
+}
+
+/**
+ * Workers KV (binding RATE_LIMIT_KV). Read-then-write is not atomic and KV is
+ * eventually consistent, so concurrent bursts may be under-counted; good
+ * enough to stop sustained abuse.
+ */
+export function createKvStore(kv) {
+  return {
+    async increment(key, ttlSeconds) {
+      const count = Number(await kv.get(key)) + 1
+      // KV rejects TTLs under 60 seconds
+      await kv.put(key, String(count), { expirationTtl: Math.max(60, ttlSeconds) })
+      return count
+    },
+  }
+}
+
+let memoryStore = null
+
+/** Picks the store from the configured bindings: KV if bound, else memory. */
+export function rateLimitStore(env) {
+  if (env.RATE_LIMIT_KV) return createKvStore(env.RATE_LIMIT_KV)
+  memoryStore ||= createMemoryStore()
+  return memoryStore
+}
+
+/**
+ * Records an exceeded window in abuse_events (only for the first rejected
+ * request of the window, so a flood produces one row, not thousands).
+ * Returns the insert error, if any.
+ */
+export async function logAbuseEvent(service, request, result) {
+  if (result.count !== result.limit.limit + 1) return null
+
+  const { error } = await service.from('abuse_events').insert({
+    route:          new URL(request.url).pathname,
+    method:         request.method,
+    key_type:       result.limit.by,
+    subject:        result.subject,
+    limit_count:    result.limit.limit,
+    window_seconds: result.limit.windowSeconds,
+    ip:             request.headers.get('CF-Connecting-IP'),
+    user_agent:     (request.headers.get('User-Agent') || '').slice(0, 300) || null,
+  })
+  return error
+}
@@ -0,0 +1,105 @@
+// ─── Score ↔ rating conversion ──────────────────────────────────────────────
+// Every rating is stored as a direction (rating = 1 | -1) plus a strength in
+// [0, 1]. Clients send a 1–10 score; 6+ is a like, 5 and below a dislike, and
+// strength grows with distance from the 5.5 midpoint.
+
+export const MIN_SCORE = 1
+export const MAX_SCORE = 10
+
+// Where a rating was cast (ratings.source). Email ratings are confirmed with a
+// POST from the rate page, so link scanners can't create them. Restored rows
+// are always 'import': the source in an uploaded file can't be trusted.
+export const RATING_SOURCES = ['email', 'web', 'onboarding', 'import']
+
+// Ratings per POST /api/import; DataImport splits bigger exports into batches
+export const MAX_IMPORT_RATINGS = 5000
+
+export function scoreToRating(score) {
+  const rating   = score >= 6 ? 1 : -1
+  const strength = Math.abs(score - 5.5) / 4.5
+  return { rating, strength }
+}
+
+export function ratingToScore(rating, strength = 1.0) {
+  const score = Math.round(5.5 + rating * strength * 4.5)
+  return Math.min(MAX_SCORE, Math.max(MIN_SCORE, score))
+}
+
+/**
+ * Reads a 1–10 score, falling back to a legacy thumbs value
+ * (1 / -1 / 'up' / 'down', treated as full-strength). Returns null if invalid.
+ */
+export function parseScore(score, legacyRating) {
+  const n = Number(score)
+  if (Number.isInteger(n) && n >= MIN_SCORE && n <= MAX_SCORE) return n
+  if (legacyRating === 1  || legacyRating === 'up')   return MAX_SCORE
+  if (legacyRating === -1 || legacyRating === 'down') return MIN_SCORE
+  return null
+}
+
+/**
+ * Flags the user's preference vector for recomputation on the next pipeline run.
+ */
+export async function markVectorStale(service, userId) {
+  return service.from('user_preferences').upsert(
+    { user_id: userId, vector_stale: true, updated_at: new Date().toISOString() },
+    { onConflict: 'user_id' },
+  )
+}
+
+/**
+ * Looks up a daily_menus entry. Returns { dishId, menuDate, dishName } or null.
+ */
+export async function findMenuEntry(service, menuId) {
+  const { data } = await service
+    .from('daily_menus')
+    .select('dish_id, menu_date, dishes(source_name)')
+    .eq('id', menuId)
+    .limit(1)
+
+  if (!data || data.length === 0) return null
+  return {
+    dishId:   data[0].dish_id,
+    menuDate: data[0].menu_date,
+    dishName: data[0].dishes?.source_name || 'this dish',
+  }
+}
+
+/**
+ * Upserts a 1–10 score for a daily_menus entry and marks the vector stale.
+ * Shared by the email flow (/api/rate) and the web app (/api/ratings);
+ * `source` is one of RATING_SOURCES.
+ *
+ * Returns { rating, dishName, error, status, cause } where rating is the saved
+ * row on success; `cause` carries the underlying database error for logging.
+ */
+export async function rateMenuEntry(service, { userId, menuId, score, source }) {
+  const entry = await findMenuEntry(service, menuId)
+  if (!entry) {
+    return { rating: null, dishName: null, error: 'Dish not found', status: 404 }
+  }
+
+  const { dishId: dish_id, menuDate: menu_date, dishName } = entry
+  const { rating, strength } = scoreToRating(score)
+
+  const { data: saved, error: ratingError } = await service
+    .from('ratings')
+    .upsert(
+      { user_id: userId, dish_id, rating, strength, menu_date, source },
+      { onConflict: 'user_id,dish_id,menu_date' },
+    )
+    .select('id, rating, strength, menu_date, dish_id, source')
+    .single()
+
+  if (ratingError) {
+    return { rating: null, dishName, error: 'Failed to save rating', status: 500, cause: ratingError }
+  }
+
+  await markVectorStale(service, userId)
+  return {
+    rating: { ...saved, score: ratingToScore(saved.rating, saved.strength) },
+    dishName,
+    error: null,
+    status: 200,
+  }
+}
@@ -0,0 +1,200 @@
+// JS port of the hybrid ranking in recommendation_engine.py
+// (generate_recommendations). Keep the constants and scoring in sync.
+
+import { HttpError } from './http.js'
+
+export const BUCKET_ORDER = ['breakfast_brunch', 'lunch', 'dinner']
+
+const VECTOR_WEIGHT  = 0.75
+const FLAVOR_WEIGHT  = 0.08
+const METHOD_WEIGHT  = 0.07
+const CUISINE_WEIGHT = 0.10
+
+const DISH_TYPE_MULTIPLIER = { main: 1.0, side: 0.6, dessert: 0.7, condiment: 0.0, beverage: 0.4 }
+
+const MAX_EATERIES = 4
+const MAX_DISHES   = 5
+
+/** Returns [vector, cuisine, flavor, method] weights scaled by rating count. */
+function scoringWeights(ratingCount) {
+  if (ratingCount < 15) return [0.40, 0.25, 0.20, 0.15]
+  if (ratingCount < 40) return [0.60, 0.18, 0.13, 0.09]
+  return [VECTOR_WEIGHT, CUISINE_WEIGHT, FLAVOR_WEIGHT, METHOD_WEIGHT]
+}
+
+function positiveMass(weights) {
+  return Object.values(weights).reduce((s, v) => (v > 0 ? s + v : s), 0)
+}
+
+function weightedAttrScore(weights, attrs) {
+  if (!attrs?.length) return 0
+  const maxPos = positiveMass(weights)
+  if (maxPos === 0) return 0
+  const raw = attrs.reduce((s, a) => s + (weights[a] || 0), 0)
+  return Math.max(0, raw) / maxPos
+}
+
+function weightedCuisineScore(weights, cuisine) {
+  if (!cuisine || cuisine === 'other') return 0
+  const maxPos = positiveMass(weights)
+  if (maxPos === 0) return 0
+  return Math.max(0, weights[cuisine.toLowerCase()] || 0) / maxPos
+}
+
+export function isDietaryCompatible(dishAttrs, userDietary) {
+  if (!dishAttrs?.length || !userDietary?.length) return true
+  const attrs = new Set(dishAttrs)
+  for (const r of userDietary) {
+    if (r === 'vegetarian'   && !attrs.has('vegetarian') && !attrs.has('vegan')) return false
+    if (r === 'vegan'        && !attrs.has('vegan'))              return false
+    if (r === 'gluten-free'  && !attrs.has('gluten-free'))        return false
+    if (r === 'dairy-free'   && !attrs.has('dairy-free'))         return false
+    if (r === 'halal'        && !attrs.has('halal'))              return false
+    if (r === 'no-nuts'      && attrs.has('contains-nuts'))       return false
+    if (r === 'no-shellfish' && attrs.has('contains-shellfish'))  return false
+  }
+  return true
+}
+
+function containsAvoided(ingredients, avoided) {
+  return avoided.size > 0 && (ingredients || []).some(i => avoided.has(i.toLowerCase()))
+}
+
+/** Parses a pgvector value (returned by PostgREST as "[0.1,0.2,...]"). */
+export function parseVector(value) {
+  if (!value) return null
+  if (Array.isArray(value)) return value
+  try {
+    const parsed = JSON.parse(value)
+    return Array.isArray(parsed) ? parsed : null
+  } catch {
+    return null
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) return 0
+  let dot = 0, na = 0, nb = 0
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i]
+    na  += a[i] * a[i]
+    nb  += b[i] * b[i]
+  }
+  if (na === 0 || nb === 0) return 0
+  return dot / (Math.sqrt(na) * Math.sqrt(nb))
+}
+
+/**
+ * Ranks eateries and dishes per meal bucket for one user.
+ *
+ * menuRows – daily_menus rows with an embedded `dishes` object
+ *            ({ id, eatery, bucket, dish_id, dishes: { source_name, embedding, ... } })
+ * prefs    – user_preferences row (may be null)
+ *
+ * Returns { [bucket]: { picks: [{ eatery, score, dishes: [{ menu_id, dish_id, name, dish_type, score }] }] } }
+ */
+export function rankMenus(menuRows, prefs, ratingCount = 0) {
+  const prefVector = parseVector(prefs?.preference_vector)
+  const fw = prefs?.flavor_weights  || {}
+  const mw = prefs?.method_weights  || {}
+  const cw = prefs?.cuisine_weights || {}
+  const dietary = prefs?.dietary_restrictions || []
+  const avoided = new Set((prefs?.avoided_ingredients || []).map(i => i.toLowerCase()))
+  const hasAttrPrefs = Object.keys(fw).length + Object.keys(mw).length + Object.keys(cw).length > 0
+  const [vecW, cuisineW, flavorW, methodW] = scoringWeights(ratingCount)
+
+  // bucket → eatery → scored dishes
+  const grouped = {}
+  for (const row of menuRows) {
+    const dish = row.dishes
+    if (!dish) continue
+
+    let score = 0
+    if (isDietaryCompatible(dish.dietary_attrs, dietary) && !containsAvoided(dish.ingredients, avoided)) {
+      const vecScore = prefVector ? cosineSimilarity(prefVector, parseVector(dish.embedding)) : 0
+      if (hasAttrPrefs) {
+        score = vecW * vecScore
+          + flavorW  * weightedAttrScore(fw, dish.flavor_profiles)
+          + methodW  * weightedAttrScore(mw, dish.cooking_methods)
+          + cuisineW * weightedCuisineScore(cw, dish.cuisine_type)
+      } else {
+        score = vecScore
+      }
+      score *= DISH_TYPE_MULTIPLIER[dish.dish_type || 'main'] ?? 0.5
+    }
+
+    grouped[row.bucket] ??= {}
+    grouped[row.bucket][row.eatery] ??= []
+    grouped[row.bucket][row.eatery].push({
+      menu_id:     row.id,
+      dish_id:     row.dish_id,
+      name:        dish.source_name,
+      dish_type:   dish.dish_type,
+      ingredients: dish.ingredients || [],
+      score,
+    })
+  }
+
+  const result = {}
+  for (const bucket of BUCKET_ORDER) {
+    const eateries = grouped[bucket] || {}
+    const ranked = Object.entries(eateries).map(([eatery, dishes]) => {
+      dishes.sort((a, b) => b.score - a.score)
+      const top3 = dishes.slice(0, 3)
+      const avg = top3.length ? top3.reduce((s, d) => s + d.score, 0) / top3.length : 0
+      // Ingredient variety: 0 ingredients → 0.0, 10+ → 1.0
+      const ingredients = new Set(dishes.flatMap(d => d.ingredients))
+      const variety = Math.min(ingredients.size / 10, 1)
+      return {
+        eatery,
+        score: 0.85 * avg + 0.15 * variety,
+        dishes: dishes
+          .filter(d => d.dish_type !== 'condiment')
+          .slice(0, MAX_DISHES)
+          .map(({ ingredients: _, ...d }) => d),
+      }
+    })
+    ranked.sort((a, b) => b.score - a.score)
+    result[bucket] = { picks: ranked.slice(0, MAX_EATERIES) }
+  }
+  return result
+}
+
+/**
+ * Loads `date`'s menu with one user's preferences and rating count and ranks
+ * it. Read-only: backs GET /api/recommendations and the admin user view's
+ * preview (/api/admin/users), which must show exactly what the user sees.
+ *
+ * Returns { date, personalized, buckets } (buckets as from rankMenus).
+ */
+export async function recommendationsFor(service, userId, date) {
+  const [menuRes, prefsRes, countRes] = await Promise.all([
+    service
+      .from('daily_menus')
+      .select(
+        'id, dish_id, eatery, bucket, ' +
+        'dishes(source_name, embedding, ingredients, flavor_profiles, cooking_methods, cuisine_type, dietary_attrs, dish_type)'
+      )
+      .eq('menu_date', date),
+    service
+      .from('user_preferences')
+      .select('preference_vector, flavor_weights, method_weights, cuisine_weights, dietary_restrictions, avoided_ingredients')
+      .eq('user_id', userId)
+      .maybeSingle(),
+    service
+      .from('ratings')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId),
+  ])
+
+  if (menuRes.error || prefsRes.error) {
+    throw new HttpError(500, 'Failed to fetch recommendations', { cause: menuRes.error || prefsRes.error })
+  }
+
+  const prefs = prefsRes.data
+  return {
+    date,
+    personalized: Boolean(prefs?.preference_vector),
+    buckets: rankMenus(menuRes.data || [], prefs, countRes.count ?? 0),
+  }
+}
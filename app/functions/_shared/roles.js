@@ -0,0 +1,35 @@
+import { HttpError } from './http.js'
+import { requireUser } from './supabase.js'
+
+// Staff roles in increasing order of access (user_roles.role):
+//   analyst – read-only admin dashboard
+//   admin   – also changes data and manages roles
+export const ROLES = ['analyst', 'admin']
+
+/** True when `role` grants at least `minimum`. */
+export function hasRole(role, minimum) {
+  return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum)
+}
+
+/** The user's role, or null for regular users. */
+export async function getRole(service, userId) {
+  const { data, error } = await service
+    .from('user_roles')
+    .select('role')
+    .eq('user_id', userId)
+    .maybeSingle()
+  if (error) throw new HttpError(500, 'Failed to check permissions', { cause: error })
+  return data?.role ?? null
+}
+
+/**
+ * The signed-in user, if their role grants at least `minimum`; otherwise a
+ * 401/403 HttpError. The role is looked up once per request and left on
+ * data.role, so the admin middleware and the handler share it.
+ */
+export async function requireRole(data, minimum) {
+  const user = requireUser(data)
+  if (data.role === undefined) data.role = await getRole(data.service, user.id)
+  if (!hasRole(data.role, minimum)) throw new HttpError(403, 'Forbidden')
+  return user
+}
@@ -0,0 +1,35 @@
+import { addDays, todayInCampusTz } from './dates.js'
+
+// "Pause for a week" from the unsubscribe page
+export const QUICK_PAUSE_DAYS = 7
+
+/**
+ * Pauses daily emails for the profile matching `match` (e.g. { email }) until
+ * `resumeOn` (YYYY-MM-DD, campus date). The subscription is switched off now
+ * and switched back on by resumeExpiredPauses() once that date arrives.
+ */
+export async function pauseSubscription(service, match, resumeOn) {
+  return service
+    .from('profiles')
+    .update({ subscribed: false, paused_until: resumeOn, updated_at: new Date().toISOString() })
+    .match(match)
+}
+
+/** Resume date for a quick pause starting today. */
+export function quickPauseResumeDate() {
+  return addDays(todayInCampusTz(), QUICK_PAUSE_DAYS)
+}
+
+/**
+ * Re-subscribes everyone whose pause has ended (paused_until on or before
+ * `today`) and clears the pause. Returns { resumed: number, error }.
+ */
+export async function resumeExpiredPauses(service, today = todayInCampusTz()) {
+  const { data, error } = await service
+    .from('profiles')
+    .update({ subscribed: true, paused_until: null, updated_at: new Date().toISOString() })
+    .eq('subscribed', false)
+    .lte('paused_until', today)
+    .select('id')
+  return { resumed: data?.length ?? 0, error }
+}
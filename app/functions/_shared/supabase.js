@@ -1,4 +1,5 @@
 import { createClient } from '@supabase/supabase-js'
+import { HttpError } from './http.js'
 
 export function createAnonClient(env, authHeader = null) {
   const opts = { auth: { autoRefreshToken: false, persistSession: false } }
@@ -15,31 +16,31 @@ export function createServiceClient(env) {
 }
 
 /**
- * Extracts and verifies the Bearer JWT from the request.
- * Returns { user, error, status } where user is non-null on success.
+ * Verifies the Bearer JWT on the request. Called once per request by
+ * functions/api/_middleware.js, which stores the result in context.data; handlers
+ * use requireUser (or requireRole from roles.js for staff endpoints).
+ * Returns { user, error } (user null on failure).
  */
-export async function requireAuth(request, env) {
+export async function authenticate(request, env) {
   const authHeader = request.headers.get('Authorization') || ''
   if (!authHeader.startsWith('Bearer ')) {
-    return { user: null, error: 'Missing auth token', status: 401 }
+    return { user: null, error: 'Missing auth token' }
   }
   const supabase = createAnonClient(env, authHeader)
   const { data: { user }, error } = await supabase.auth.getUser()
   if (error || !user) {
-    return { user: null, error: 'Invalid or expired token', status: 401 }
+    return { user: null, error: 'Invalid or expired token' }
   }
-  return { user, error: null, status: 200 }
+  return { user, error: null }
 }
 
-/**
- * Verifies the JWT is valid AND the user's email is in the ADMIN_EMAILS list.
- */
-export async function requireAdmin(request, env) {
-  const { user, error, status } = await requireAuth(request, env)
-  if (!user) return { user: null, error, status }
-  const adminEmails = (env.ADMIN_EMAILS || '').split(',').map(e => e.trim())
-  if (!adminEmails.includes(user.email)) {
-    return { user: null, error: 'Forbidden', status: 403 }
-  }
-  return { user, error: null, status: 200 }
+/** The signed-in user from context.data, or a 401 HttpError. */
+export function requireUser(data) {
+  if (!data.user) throw new HttpError(401, data.authError || 'Missing auth token')
+  return data.user
+}
+
+/** Escapes LIKE/ILIKE wildcards so user input matches literally. */
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, c => `\\${c}`)
 }
@@ -0,0 +1,205 @@
+import { addDays, todayInCampusTz } from './dates.js'
+import { HttpError } from './http.js'
+import { DIETARY_RESTRICTIONS, DISH_CUISINES, FLAVORS, MEAL_BUCKETS, METHODS } from './vocabulary.js'
+
+// ─── Request validation ─────────────────────────────────────────────────────
+// A validator is (value, path) => { value, errors } where errors is a list of
+// { path, message }. validate() runs an object shape against a request body
+// and returns only the declared fields, so unknown keys never reach Supabase.
+
+export const DATE_RE = /^\d{4}-\d{2}-\d{2}$/
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// Weights are continuous and the pipeline keeps adding inferred rating signals
+// on top of stored values, so larger magnitudes are clamped, never rejected:
+// a rejection would stop an active rater from saving the form at all.
+const MAX_ABS_WEIGHT = 100
+
+function ok(value) {
+  return { value, errors: [] }
+}
+
+function fail(path, message) {
+  return { value: undefined, errors: [{ path, message }] }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value)
+}
+
+/** Marks a field as optional: undefined passes through and is omitted. */
+export function optional(validator) {
+  const wrapped = (value, path) => (value === undefined ? ok(undefined) : validator(value, path))
+  wrapped.optional = true
+  return wrapped
+}
+
+/** Allows an explicit null (e.g. to clear a column) in addition to `validator`. */
+export function nullable(validator) {
+  const wrapped = (value, path) => (value === null ? ok(null) : validator(value, path))
+  wrapped.optional = validator.optional
+  return wrapped
+}
+
+export function boolean() {
+  return (value, path) =>
+    typeof value === 'boolean' ? ok(value) : fail(path, 'expected a boolean')
+}
+
+export function integer({ min = -Infinity, max = Infinity } = {}) {
+  return (value, path) => {
+    const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+    if (!Number.isInteger(n)) return fail(path, 'expected an integer')
+    if (n < min || n > max) return fail(path, `expected an integer between ${min} and ${max}`)
+    return ok(n)
+  }
+}
+
+export function number({ min = -Infinity, max = Infinity } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'number' || !isFinite(value)) return fail(path, 'expected a number')
+    if (value < min || value > max) return fail(path, `expected a number between ${min} and ${max}`)
+    return ok(value)
+  }
+}
+
+export function string({ maxLength = 200, trim = true, lowercase = false, nonEmpty = false } = {}) {
+  return (value, path) => {
+    if (typeof value !== 'string') return fail(path, 'expected a string')
+    let s = trim ? value.trim() : value
+    if (lowercase) s = s.toLowerCase()
+    if (nonEmpty && s === '') return fail(path, 'must not be empty')
+    if (s.length > maxLength) return fail(path, `at most ${maxLength} characters`)
+    return ok(s)
+  }
+}
+
+export function date() {
+  return (value, path) =>
+    typeof value === 'string' && DATE_RE.test(value) && !isNaN(Date.parse(value))
+      ? ok(value)
+      : fail(path, 'expected a date (YYYY-MM-DD)')
+}
+
+/** A user id (auth.users / profiles UUID), normalized to lowercase. */
+export function uuid() {
+  return (value, path) =>
+    typeof value === 'string' && UUID_RE.test(value)
+      ? ok(value.toLowerCase())
+      : fail(path, 'expected a UUID')
+}
+
+export function oneOf(allowed) {
+  return (value, path) =>
+    allowed.includes(value) ? ok(value) : fail(path, `expected one of: ${allowed.join(', ')}`)
+}
+
+export function arrayOf(itemValidator, { minItems = 0, maxItems = 100, unique = false } = {}) {
+  return (value, path) => {
+    if (!Array.isArray(value)) return fail(path, 'expected an array')
+    if (value.length < minItems) return fail(path, `at least ${minItems} items`)
+    if (value.length > maxItems) return fail(path, `at most ${maxItems} items`)
+    const out = []
+    const errors = []
+    value.forEach((item, i) => {
+      const res = itemValidator(item, `${path}[${i}]`)
+      errors.push(...res.errors)
+      if (res.errors.length === 0) out.push(res.value)
+    })
+    return { value: unique ? [...new Set(out)] : out, errors }
+  }
+}
+
+/**
+ * A JSONB weight map: keys from `allowedKeys`, finite numeric values clamped
+ * to ±MAX_ABS_WEIGHT. Keys are lowercased, since early onboarding stored
+ * cuisines as 'Chinese' etc.; if both spellings are present the lowercase
+ * one wins.
+ */
+export function weightMap(allowedKeys) {
+  return (value, path) => {
+    if (!isPlainObject(value)) return fail(path, 'expected an object of weights')
+    const out = {}
+    const errors = []
+    for (const [rawKey, weight] of Object.entries(value)) {
+      const key = rawKey.toLowerCase()
+      if (!allowedKeys.includes(key)) {
+        errors.push({ path: `${path}.${rawKey}`, message: 'unknown key' })
+      } else if (typeof weight !== 'number' || !isFinite(weight)) {
+        errors.push({ path: `${path}.${rawKey}`, message: 'expected a number' })
+      } else if (key === rawKey || !(key in value)) {
+        out[key] = Math.min(MAX_ABS_WEIGHT, Math.max(-MAX_ABS_WEIGHT, weight))
+      }
+    }
+    return { value: out, errors }
+  }
+}
+
+export function object(shape) {
+  return (value, path) => {
+    if (!isPlainObject(value)) return fail(path, 'expected an object')
+    const out = {}
+    const errors = []
+    for (const [key, validator] of Object.entries(shape)) {
+      const fieldPath = path ? `${path}.${key}` : key
+      if (value[key] === undefined && !validator.optional) {
+        errors.push({ path: fieldPath, message: 'required' })
+        continue
+      }
+      const res = validator(value[key], fieldPath)
+      errors.push(...res.errors)
+      if (res.errors.length === 0 && res.value !== undefined) out[key] = res.value
+    }
+    return { value: out, errors }
+  }
+}
+
+/** Validates `body` against an object shape. Returns { value, errors }. */
+export function validate(body, shape) {
+  return object(shape)(body, '')
+}
+
+/** Reads a JSON request body, treating a missing or malformed body as {}. */
+export async function readJson(request) {
+  return request.json().catch(() => ({}))
+}
+
+/** The 400 error every endpoint throws for validation failures. */
+export function validationError(errors, message = 'Invalid request') {
+  return new HttpError(400, message, { details: errors })
+}
+
+/**
+ * Reads an inclusive campus-local ?from=&to= range from query params. `to`
+ * defaults to today and `from` to `defaultDays` days ending at `to`; a range
+ * longer than `maxDays` or running backwards throws the 400.
+ */
+export function readDateRange(params, { defaultDays, maxDays }) {
+  const { value, errors } = validate(
+    { from: params.from, to: params.to },
+    { from: optional(date()), to: optional(date()) },
+  )
+  if (errors.length > 0) throw validationError(errors)
+
+  const to   = value.to || todayInCampusTz()
+  const from = value.from || addDays(to, -(defaultDays - 1))
+  if (from > to) throw validationError([{ path: 'from', message: 'must not be after to' }])
+  if (from < addDays(to, -(maxDays - 1))) {
+    throw validationError([{ path: 'from', message: `range is at most ${maxDays} days` }])
+  }
+  return { from, to }
+}
+
+// ─── Shared field rules ─────────────────────────────────────────────────────
+
+export const fields = {
+  // DISH_CUISINES: the pipeline also learns a weight for 'other'
+  cuisineWeights:      weightMap(DISH_CUISINES),
+  flavorWeights:       weightMap(FLAVORS),
+  methodWeights:       weightMap(METHODS),
+  mealBuckets:         arrayOf(oneOf(MEAL_BUCKETS.map(b => b.value)), { maxItems: 3, unique: true }),
+  dietaryRestrictions: arrayOf(oneOf(DIETARY_RESTRICTIONS.map(d => d.value)), { maxItems: 20, unique: true }),
+  ingredients:         arrayOf(string({ maxLength: 50, lowercase: true, nonEmpty: true }), { maxItems: 100, unique: true }),
+  score:               integer({ min: 1, max: 10 }),
+  id:                  integer({ min: 1 }),
+}
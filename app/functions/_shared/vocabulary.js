@@ -0,0 +1,49 @@
+// Allowed preference values, shared by the Pages Functions (validation) and
+// the React app (chips/pickers). Keep in sync with the VALID_* sets in
+// ingredient_extractor.py, which label dishes with the same vocabulary.
+// This module must stay dependency-free so both bundles can import it.
+
+export const CUISINES = [
+  'chinese', 'japanese', 'korean', 'indian', 'mexican', 'italian', 'american',
+  'mediterranean', 'thai', 'vietnamese', 'french', 'middle-eastern',
+]
+
+export const FLAVORS = ['savory', 'sweet', 'spicy', 'sour', 'umami', 'mild', 'smoky', 'tangy', 'rich', 'fresh']
+
+export const METHODS = ['fried', 'grilled', 'baked', 'steamed', 'stir-fried', 'roasted', 'braised', 'raw', 'sauteed', 'smoked']
+
+// Dish labels as written by ingredient_extractor.py (VALID_CUISINES,
+// VALID_DIETARY, VALID_DISH_TYPES); admins correct them in the Dishes tab
+export const DISH_CUISINES = [...CUISINES, 'other']
+
+export const DISH_DIETARY_ATTRS = [
+  'vegetarian', 'vegan', 'gluten-free', 'dairy-free', 'halal', 'contains-nuts', 'contains-shellfish',
+]
+
+export const DISH_TYPES = ['main', 'side', 'condiment', 'beverage', 'dessert']
+
+// Meal buckets a subscriber can opt into (same keys as daily_menus.bucket)
+export const MEAL_BUCKETS = [
+  { value: 'breakfast_brunch', label: 'Breakfast / Brunch' },
+  { value: 'lunch',            label: 'Lunch' },
+  { value: 'dinner',           label: 'Dinner' },
+]
+
+export const DIETARY_RESTRICTIONS = [
+  { value: 'vegetarian',   label: 'Vegetarian' },
+  { value: 'vegan',        label: 'Vegan' },
+  { value: 'gluten-free',  label: 'Gluten-free' },
+  { value: 'dairy-free',   label: 'Dairy-free' },
+  { value: 'halal',        label: 'Halal' },
+  { value: 'no-nuts',      label: 'Nut Allergy' },
+  { value: 'no-shellfish', label: 'Shellfish Allergy' },
+]
+
+// Optional reason picker on the unsubscribe confirmation page
+export const UNSUBSCRIBE_REASONS = [
+  { value: 'too_many_emails',     label: 'Too many emails' },
+  { value: 'bad_recommendations', label: "The picks don't match my taste" },
+  { value: 'not_on_campus',       label: "I don't eat on West Campus" },
+  { value: 'use_app_instead',     label: 'I check the app instead' },
+  { value: 'other',               label: 'Other' },
+]
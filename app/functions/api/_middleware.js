@@ -0,0 +1,60 @@
+import { HttpError } from '../_shared/http.js'
+import { PRE_AUTH_KEYS, checkRateLimit, logAbuseEvent, rateLimitStore } from '../_shared/rateLimit.js'
+import { authenticate } from '../_shared/supabase.js'
+
+const USER_KEYS = ['user']
+
+/**
+ * Runs after the root middleware for every /api request:
+ *   1. IP and link-token rate limits (rules in _shared/rateLimit.js)
+ *   2. auth – verifies the Bearer JWT once into context.data.user
+ *   3. per-user rate limits
+ * IP limits come first so requests with garbage tokens are rejected before
+ * each one costs a Supabase getUser call. Over a limit → 429 with
+ * Retry-After, and the event is logged for the admin dashboard. A failing
+ * store never blocks traffic.
+ */
+export const onRequest = [limitAnonymous, auth, limitUser]
+
+function limitAnonymous(context) {
+  return enforce(context, PRE_AUTH_KEYS)
+}
+
+function limitUser(context) {
+  return enforce(context, USER_KEYS)
+}
+
+// Cron jobs authenticate with CRON_SECRET, not a user JWT
+async function auth(context) {
+  const { request, env, data } = context
+  const path = new URL(request.url).pathname
+
+  if (!path.startsWith('/api/cron/') && request.headers.has('Authorization')) {
+    const { user, error } = await authenticate(request, env)
+    data.user      = user
+    data.authError = error
+  }
+  return context.next()
+}
+
+async function enforce(context, keys) {
+  const { request, env, data } = context
+
+  let exceeded = null
+  try {
+    exceeded = await checkRateLimit(request, data.user, rateLimitStore(env), { keys })
+  } catch (err) {
+    data.log.error('Rate limit check failed', { error: err })
+  }
+
+  if (!exceeded) return context.next()
+
+  context.waitUntil(
+    logAbuseEvent(data.service, request, exceeded).then(error => {
+      if (error) data.log.error('Abuse event insert failed', { error })
+    }),
+  )
+  throw new HttpError(429, 'Too many requests', {
+    headers: { 'Retry-After': String(exceeded.retryAfter) },
+  })
+}
@@ -0,0 +1,21 @@
+import { requireRole } from '../../_shared/roles.js'
+
+const READ_METHODS = ['GET', 'HEAD']
+
+/**
+ * Staff gate for /api/admin/*: reads need at least 'analyst', anything else
+ * 'admin' (handlers may require more). Mutations are expected to write an
+ * audit entry (_shared/audit.js); a successful one that didn't is logged.
+ */
+export async function onRequest(context) {
+  const { request, data } = context
+  const mutating = !READ_METHODS.includes(request.method)
+
+  await requireRole(data, mutating ? 'admin' : 'analyst')
+  const response = await context.next()
+
+  if (mutating && response.ok && !data.auditLogged) {
+    data.log.error('Admin mutation finished without an audit entry', { status: response.status })
+  }
+  return response
+}
@@ -0,0 +1,58 @@
+import { addDays, campusDayStart } from '../../_shared/dates.js'
+import { HttpError } from '../../_shared/http.js'
+import { requireRole } from '../../_shared/roles.js'
+import { escapeLike } from '../../_shared/supabase.js'
+import { date, integer, optional, string, validate, validationError } from '../../_shared/validation.js'
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT     = 200
+
+const queryShape = {
+  action:      optional(string({ maxLength: 64, lowercase: true })),
+  actor:       optional(string({ maxLength: 320, lowercase: true })),
+  target_type: optional(string({ maxLength: 32, lowercase: true })),
+  target_id:   optional(string({ maxLength: 128 })),
+  from:        optional(date()),
+  to:          optional(date()),
+  cursor:      optional(integer({ min: 1 })),
+  limit:       optional(integer({ min: 1, max: MAX_LIMIT })),
+}
+
+/**
+ * Browses admin_audit_log, newest first. Filters: action (prefix, e.g. 'role.'
+ * or 'role.grant'), actor (email substring), target_type, target_id, from/to
+ * (inclusive campus-local dates, like the other admin date ranges). Pages with ?cursor=<next_cursor from the last page>.
+ * Admin only.
+ */
+export async function onRequestGet({ request, data }) {
+  await requireRole(data, 'admin')
+
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), queryShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const limit = params.limit ?? DEFAULT_LIMIT
+
+  let query = data.service
+    .from('admin_audit_log')
+    .select('id, actor_email, action, target_type, target_id, target_label, before, after, request_id, created_at')
+    .order('id', { ascending: false })
+    .limit(limit + 1)
+
+  if (params.action)      query = query.like('action', `${escapeLike(params.action)}%`)
+  if (params.actor)       query = query.ilike('actor_email', `%${escapeLike(params.actor)}%`)
+  if (params.target_type) query = query.eq('target_type', params.target_type)
+  if (params.target_id)   query = query.eq('target_id', params.target_id)
+  if (params.from)        query = query.gte('created_at', campusDayStart(params.from))
+  if (params.to)          query = query.lt('created_at', campusDayStart(addDays(params.to, 1)))
+  if (params.cursor)      query = query.lt('id', params.cursor)
+
+  const { data: rows, error: dbError } = await query
+  if (dbError) throw new HttpError(500, 'Failed to fetch audit log', { cause: dbError })
+
+  const entries = (rows || []).slice(0, limit)
+  return Response.json({
+    entries,
+    next_cursor: rows?.length > limit ? entries[entries.length - 1].id : null,
+  })
+}
@@ -0,0 +1,260 @@
+import { writeAudit } from '../../_shared/audit.js'
+import { HttpError } from '../../_shared/http.js'
+import { requireRole } from '../../_shared/roles.js'
+import { escapeLike } from '../../_shared/supabase.js'
+import {
+  arrayOf,
+  boolean,
+  fields,
+  integer,
+  oneOf,
+  optional,
+  readJson,
+  string,
+  validate,
+  validationError,
+} from '../../_shared/validation.js'
+import { DISH_CUISINES, DISH_DIETARY_ATTRS, DISH_TYPES, FLAVORS, METHODS } from '../../_shared/vocabulary.js'
+
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE     = 100
+
+// LLM-extracted columns an admin can correct; each one set here is recorded in
+// dishes.manual_overrides so the pipeline keeps it on later runs
+const ATTRIBUTE_FIELDS = [
+  'ingredients', 'cuisine_type', 'dish_type', 'dietary_attrs', 'flavor_profiles', 'cooking_methods',
+]
+
+const DISH_COLUMNS =
+  'id, normalized_name, source_name, ingredients, flavor_profiles, cooking_methods, cuisine_type, ' +
+  'dietary_attrs, dish_type, is_onboarding_dish, manual_overrides, needs_reembed, updated_at'
+
+const listQueryShape = {
+  q:             optional(string({ maxLength: 100, lowercase: true })),
+  cuisine_type:  optional(oneOf(DISH_CUISINES)),
+  dish_type:     optional(oneOf(DISH_TYPES)),
+  overridden:    optional(oneOf(['true'])),
+  needs_reembed: optional(oneOf(['true'])),
+  page:          optional(integer({ min: 1 })),
+  limit:         optional(integer({ min: 1, max: MAX_PAGE_SIZE })),
+}
+
+const attributeShape = {
+  ingredients:     optional(fields.ingredients),
+  cuisine_type:    optional(oneOf(DISH_CUISINES)),
+  dish_type:       optional(oneOf(DISH_TYPES)),
+  dietary_attrs:   optional(arrayOf(oneOf(DISH_DIETARY_ATTRS), { maxItems: DISH_DIETARY_ATTRS.length, unique: true })),
+  flavor_profiles: optional(arrayOf(oneOf(FLAVORS), { maxItems: FLAVORS.length, unique: true })),
+  cooking_methods: optional(arrayOf(oneOf(METHODS), { maxItems: METHODS.length, unique: true })),
+}
+
+const createShape = {
+  source_name: string({ maxLength: 200, nonEmpty: true }),
+  ...attributeShape,
+}
+
+const patchShape = {
+  ...attributeShape,
+  needs_reembed: optional(boolean()),
+  // Hand these fields back to the pipeline (drop them from manual_overrides)
+  release:       optional(arrayOf(oneOf(ATTRIBUTE_FIELDS), { maxItems: ATTRIBUTE_FIELDS.length, unique: true })),
+}
+
+/**
+ * Searches the dish catalog: q (name substring), cuisine_type, dish_type,
+ * overridden=true, needs_reembed=true; paged with page/limit. Analyst+.
+ */
+export async function onRequestGet({ request, data }) {
+  await requireRole(data, 'analyst')
+
+  const url = new URL(request.url)
+  // Empty params (e.g. "?q=") mean "no filter"
+  const params = Object.fromEntries([...url.searchParams].filter(([, v]) => v !== ''))
+  const { value: filters, errors } = validate(params, listQueryShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const page  = filters.page || 1
+  const limit = filters.limit || DEFAULT_PAGE_SIZE
+  const from  = (page - 1) * limit
+
+  let query = data.service
+    .from('dishes')
+    .select(DISH_COLUMNS, { count: 'exact' })
+    .order('normalized_name')
+    .range(from, from + limit - 1)
+
+  if (filters.q)             query = query.ilike('normalized_name', `%${escapeLike(filters.q)}%`)
+  if (filters.cuisine_type)  query = query.eq('cuisine_type', filters.cuisine_type)
+  if (filters.dish_type)     query = query.eq('dish_type', filters.dish_type)
+  if (filters.overridden)    query = query.neq('manual_overrides', '{}')
+  if (filters.needs_reembed) query = query.eq('needs_reembed', true)
+
+  const { data: dishes, count, error: dbError } = await query
+  if (dbError) throw new HttpError(500, 'Failed to fetch dishes', { cause: dbError })
+
+  return Response.json({ dishes: dishes || [], total: count ?? 0, page, limit })
+}
+
+/**
+ * Adds a dish by name: { source_name, ...attributes }. Given attributes are
+ * marked as overrides; the next pipeline run extracts the rest and embeds it.
+ * Admin only.
+ */
+export async function onRequestPost({ request, data }) {
+  await requireRole(data, 'admin')
+
+  const { value: body, errors } = validate(await readJson(request), createShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const normalizedName = normalizeDishName(body.source_name)
+  if (!normalizedName) throw validationError([{ path: 'source_name', message: 'must not be empty' }])
+
+  const overrides = ATTRIBUTE_FIELDS.filter(f => body[f] !== undefined)
+  const { data: dish, error: insertError } = await data.service
+    .from('dishes')
+    .insert({
+      ...body,
+      normalized_name:  normalizedName,
+      manual_overrides: overrides,
+      needs_reembed:    true,
+    })
+    .select(DISH_COLUMNS)
+    .single()
+
+  if (insertError?.code === '23505') {
+    throw new HttpError(409, 'A dish with this name already exists', { code: 'dish_exists' })
+  }
+  if (insertError) throw new HttpError(500, 'Failed to create dish', { cause: insertError })
+
+  await writeAudit(data, {
+    action:      'dish.create',
+    targetType:  'dish',
+    targetId:    dish.id,
+    targetLabel: dish.source_name,
+    after:       auditFields(dish),
+  })
+  return Response.json(dish, { status: 201 })
+}
+
+/**
+ * Corrects attributes of ?id=: any subset of the attribute fields (each marked
+ * as a manual override), needs_reembed, and release: [fields] to hand fields
+ * back to the pipeline. Changing ingredients or releasing fields flags the
+ * dish for re-embedding.
+ * Admin only.
+ */
+export async function onRequestPatch({ request, data }) {
+  await requireRole(data, 'admin')
+
+  const id = parseId(request)
+  const { value: body, errors } = validate(await readJson(request), patchShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const changed  = ATTRIBUTE_FIELDS.filter(f => body[f] !== undefined)
+  const release  = body.release || []
+  const conflict = changed.find(f => release.includes(f))
+  if (conflict) throw validationError([{ path: 'release', message: `can't both set and release ${conflict}` }])
+  if (changed.length === 0 && release.length === 0 && body.needs_reembed === undefined) {
+    throw new HttpError(400, 'Nothing to update')
+  }
+
+  const current = await findDish(data.service, id)
+
+  const update = Object.fromEntries(changed.map(f => [f, body[f]]))
+  update.manual_overrides = [...new Set([...current.manual_overrides, ...changed])].filter(f => !release.includes(f))
+  // The embedding is computed from the ingredients, so new ingredients need a
+  // new one; released fields are only re-extracted when the dish is redone
+  const ingredientsChanged = changed.includes('ingredients') &&
+    JSON.stringify(body.ingredients) !== JSON.stringify(current.ingredients)
+  update.needs_reembed = ingredientsChanged || release.length > 0 || (body.needs_reembed ?? current.needs_reembed)
+  update.updated_at    = new Date().toISOString()
+
+  const { data: dish, error: updateError } = await data.service
+    .from('dishes')
+    .update(update)
+    .eq('id', id)
+    .select(DISH_COLUMNS)
+    .single()
+  if (updateError) throw new HttpError(500, 'Failed to update dish', { cause: updateError })
+
+  await writeAudit(data, {
+    action:      'dish.update',
+    targetType:  'dish',
+    targetId:    dish.id,
+    targetLabel: dish.source_name,
+    before:      auditFields(current),
+    after:       auditFields(dish),
+  })
+  return Response.json(dish)
+}
+
+/**
+ * Deletes ?id=. Dishes that appear on a menu or in anyone's ratings are kept
+ * (deleting would cascade to that history), and so are onboarding dishes:
+ * remove them on the Onboarding tab first, where the minimum set size is
+ * enforced. Admin only.
+ */
+export async function onRequestDelete({ request, data }) {
+  await requireRole(data, 'admin')
+  const { service } = data
+
+  const id = parseId(request)
+  const current = await findDish(service, id)
+  if (current.is_onboarding_dish) {
+    throw new HttpError(409, 'Dish is in the onboarding set', { code: 'dish_in_onboarding' })
+  }
+
+  const [menusRes, ratingsRes] = await Promise.all([
+    service.from('daily_menus').select('*', { count: 'exact', head: true }).eq('dish_id', id),
+    service.from('ratings').select('*', { count: 'exact', head: true }).eq('dish_id', id),
+  ])
+  const countError = menusRes.error || ratingsRes.error
+  if (countError) throw new HttpError(500, 'Failed to check dish usage', { cause: countError })
+  if (menusRes.count > 0 || ratingsRes.count > 0) {
+    throw new HttpError(409, 'Dish is referenced by menus or ratings', {
+      code:    'dish_in_use',
+      details: { menus: menusRes.count, ratings: ratingsRes.count },
+    })
+  }
+
+  const { error: deleteError } = await service.from('dishes').delete().eq('id', id)
+  if (deleteError) throw new HttpError(500, 'Failed to delete dish', { cause: deleteError })
+
+  await writeAudit(data, {
+    action:      'dish.delete',
+    targetType:  'dish',
+    targetId:    id,
+    targetLabel: current.source_name,
+    before:      auditFields(current),
+  })
+  return Response.json({ ok: true })
+}
+
+function parseId(request) {
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), { id: fields.id })
+  if (errors.length > 0) throw validationError(errors)
+  return params.id
+}
+
+async function findDish(service, id) {
+  const { data: dish, error } = await service
+    .from('dishes')
+    .select(DISH_COLUMNS)
+    .eq('id', id)
+    .maybeSingle()
+  if (error) throw new HttpError(500, 'Failed to fetch dish', { cause: error })
+  if (!dish) throw new HttpError(404, 'Dish not found')
+  return dish
+}
+
+function auditFields(dish) {
+  const out = { source_name: dish.source_name, manual_overrides: dish.manual_overrides, needs_reembed: dish.needs_reembed }
+  for (const f of ATTRIBUTE_FIELDS) out[f] = dish[f]
+  return out
+}
+
+/** Same as normalize_dish_name in food_embeddings.py (the pipeline's cache key). */
+function normalizeDishName(name) {
+  return name.replace(/\s*\(.*?\)\s*/g, '').trim().toLowerCase().replace(/\s+/g, ' ')
+}
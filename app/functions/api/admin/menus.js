@@ -1,27 +1,23 @@
-import { requireAdmin, createServiceClient } from '../../_shared/supabase.js'
+import { HttpError } from '../../_shared/http.js'
+import { requireRole } from '../../_shared/roles.js'
+import { date as dateField, validate, validationError } from '../../_shared/validation.js'
 
-export async function onRequestGet({ request, env }) {
-  const { user, error, status } = await requireAdmin(request, env)
-  if (!user) return Response.json({ error }, { status })
+export async function onRequestGet({ request, data }) {
+  await requireRole(data, 'analyst')
 
-  const url  = new URL(request.url)
-  const date = url.searchParams.get('date') || ''
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), { date: dateField() })
+  if (errors.length > 0) throw validationError(errors)
 
-  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-    return Response.json({ error: 'date parameter required (YYYY-MM-DD)' }, { status: 400 })
-  }
+  const date = params.date
 
-  const service = createServiceClient(env)
-  const { data, error: dbError } = await service
+  const { data: menus, error: dbError } = await data.service
     .from('daily_menus')
     .select('id, eatery, bucket, dishes(source_name, dish_type)')
     .eq('menu_date', date)
     .order('eatery')
 
-  if (dbError) {
-    console.error('Menu fetch error:', dbError)
-    return Response.json({ error: 'Failed to fetch menus' }, { status: 500 })
-  }
+  if (dbError) throw new HttpError(500, 'Failed to fetch menus', { cause: dbError })
 
-  return Response.json(data || [])
+  return Response.json(menus || [])
 }
@@ -0,0 +1,89 @@
+import { writeAudit } from '../../_shared/audit.js'
+import { HttpError } from '../../_shared/http.js'
+import { requireRole } from '../../_shared/roles.js'
+import { arrayOf, fields, readJson, validate, validationError } from '../../_shared/validation.js'
+
+// Every dish is a slider on the onboarding page, so keep the set short, but
+// long enough that onboarding ratings say something about a new student
+const MIN_SET_SIZE = 5
+const MAX_SET_SIZE = 20
+
+const DISH_COLUMNS = 'id, source_name, normalized_name, cuisine_type, dish_type, onboarding_position'
+
+const setShape = {
+  dish_ids: arrayOf(fields.id, { minItems: MIN_SET_SIZE, maxItems: MAX_SET_SIZE, unique: true }),
+}
+
+/** The onboarding set in display order, plus the size limits. Analyst+. */
+export async function onRequestGet({ data }) {
+  await requireRole(data, 'analyst')
+
+  const dishes = await currentSet(data.service)
+  return Response.json({ dishes, min_size: MIN_SET_SIZE, max_size: MAX_SET_SIZE })
+}
+
+/**
+ * Replaces the onboarding set: { dish_ids } in display order (MIN_SET_SIZE to
+ * MAX_SET_SIZE dishes, all embedded, since onboarding ratings feed the
+ * preference vector). What /api/onboarding-dishes returns from then on.
+ * Admin only.
+ */
+export async function onRequestPut({ request, data }) {
+  await requireRole(data, 'admin')
+  const { service } = data
+
+  const { value: body, errors } = validate(await readJson(request), setShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const { data: found, error: lookupError } = await service
+    .from('dishes')
+    .select('id, source_name')
+    .in('id', body.dish_ids)
+  if (lookupError) throw new HttpError(500, 'Failed to look up dishes', { cause: lookupError })
+
+  // New admin-created dishes have no embedding until the next pipeline run
+  const { data: unembedded, error: embeddingError } = await service
+    .from('dishes')
+    .select('id')
+    .in('id', body.dish_ids)
+    .is('embedding', null)
+  if (embeddingError) throw new HttpError(500, 'Failed to look up dishes', { cause: embeddingError })
+
+  const names    = new Map((found || []).map(d => [d.id, d.source_name]))
+  const noVector = new Set((unembedded || []).map(d => d.id))
+  const invalid  = body.dish_ids
+    .map((id, i) => {
+      if (!names.has(id))   return { path: `dish_ids[${i}]`, message: 'no such dish' }
+      if (noVector.has(id)) return { path: `dish_ids[${i}]`, message: 'not embedded yet (wait for the next pipeline run)' }
+      return null
+    })
+    .filter(Boolean)
+  if (invalid.length > 0) throw validationError(invalid)
+
+  const before = await currentSet(service)
+
+  const { error: rpcError } = await service.rpc('set_onboarding_dishes', { p_dish_ids: body.dish_ids })
+  if (rpcError) throw new HttpError(500, 'Failed to save onboarding dishes', { cause: rpcError })
+
+  await writeAudit(data, {
+    action:      'onboarding.update',
+    targetType:  'onboarding_set',
+    targetId:    'onboarding',
+    targetLabel: 'Onboarding dishes',
+    before:      { dishes: before.map(d => `${d.id} ${d.source_name}`) },
+    after:       { dishes: body.dish_ids.map(id => `${id} ${names.get(id)}`) },
+  })
+
+  return Response.json({ dishes: await currentSet(service), min_size: MIN_SET_SIZE, max_size: MAX_SET_SIZE })
+}
+
+async function currentSet(service) {
+  const { data: dishes, error } = await service
+    .from('dishes')
+    .select(DISH_COLUMNS)
+    .eq('is_onboarding_dish', true)
+    .order('onboarding_position', { nullsFirst: false })
+    .order('id')
+  if (error) throw new HttpError(500, 'Failed to fetch onboarding dishes', { cause: error })
+  return dishes || []
+}
@@ -0,0 +1,120 @@
+import { writeAudit } from '../../_shared/audit.js'
+import { HttpError } from '../../_shared/http.js'
+import { ROLES, getRole, requireRole } from '../../_shared/roles.js'
+import { oneOf, readJson, string, uuid, validate, validationError } from '../../_shared/validation.js'
+
+const HISTORY_LIMIT = 50
+
+const grantShape = {
+  email: string({ maxLength: 320, lowercase: true, nonEmpty: true }),
+  role:  oneOf(ROLES),
+}
+
+/** Current staff (role + email) and the most recent role changes from the audit log. Admin only. */
+export async function onRequestGet({ data }) {
+  await requireRole(data, 'admin')
+  const { service } = data
+
+  const [rolesRes, changesRes] = await Promise.all([
+    service
+      .from('user_roles')
+      .select('user_id, role, granted_at, profiles!user_roles_user_id_fkey(email)')
+      .order('granted_at', { ascending: false }),
+    service
+      .from('admin_audit_log')
+      .select('id, actor_email, action, target_label, before, after, created_at')
+      .like('action', 'role.%')
+      .order('created_at', { ascending: false })
+      .limit(HISTORY_LIMIT),
+  ])
+
+  const dbError = rolesRes.error || changesRes.error
+  if (dbError) throw new HttpError(500, 'Failed to fetch roles', { cause: dbError })
+
+  return Response.json({
+    staff: (rolesRes.data || []).map(({ profiles, ...r }) => ({ ...r, email: profiles?.email ?? null })),
+    changes: changesRes.data || [],
+  })
+}
+
+/** Grants (or changes) a role: { email, role }. Admin only. */
+export async function onRequestPost({ request, data }) {
+  const actor = await requireRole(data, 'admin')
+  const { service } = data
+
+  const { value: body, errors } = validate(await readJson(request), grantShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const target = await findProfile(service, { email: body.email })
+  const previousRole = await getRole(service, target.id)
+
+  if (previousRole === body.role) return Response.json({ ok: true, changed: false })
+  if (target.id === actor.id) {
+    throw new HttpError(409, "You can't change your own role", { code: 'self_role_change' })
+  }
+
+  const { error: upsertError } = await service
+    .from('user_roles')
+    .upsert(
+      { user_id: target.id, role: body.role, granted_by: actor.id, granted_at: new Date().toISOString() },
+      { onConflict: 'user_id' },
+    )
+  if (upsertError) throw new HttpError(500, 'Failed to grant role', { cause: upsertError })
+
+  await writeAudit(data, {
+    action:      'role.grant',
+    targetType:  'user',
+    targetId:    target.id,
+    targetLabel: target.email,
+    before:      { role: previousRole },
+    after:       { role: body.role },
+  })
+  return Response.json({ ok: true, changed: true })
+}
+
+/** Revokes a user's role: ?user_id=. Admin only. */
+export async function onRequestDelete({ request, data }) {
+  const actor = await requireRole(data, 'admin')
+  const { service } = data
+
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), {
+    user_id: uuid(),
+  })
+  if (errors.length > 0) throw validationError(errors)
+
+  if (params.user_id === actor.id) {
+    throw new HttpError(409, "You can't revoke your own role", { code: 'self_role_change' })
+  }
+
+  const target = await findProfile(service, { id: params.user_id })
+  const previousRole = await getRole(service, target.id)
+  if (!previousRole) throw new HttpError(404, 'User has no role')
+
+  const { error: deleteError } = await service
+    .from('user_roles')
+    .delete()
+    .eq('user_id', target.id)
+  if (deleteError) throw new HttpError(500, 'Failed to revoke role', { cause: deleteError })
+
+  await writeAudit(data, {
+    action:      'role.revoke',
+    targetType:  'user',
+    targetId:    target.id,
+    targetLabel: target.email,
+    before:      { role: previousRole },
+    after:       { role: null },
+  })
+  return Response.json({ ok: true })
+}
+
+async function findProfile(service, match) {
+  const { data: profile, error } = await service
+    .from('profiles')
+    .select('id, email')
+    .match(match)
+    .maybeSingle()
+  if (error) throw new HttpError(500, 'Failed to look up user', { cause: error })
+  if (!profile) throw new HttpError(404, 'No account found for this user')
+  return profile
+}
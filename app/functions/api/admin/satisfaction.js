@@ -0,0 +1,91 @@
+import { cachedJson } from '../../_shared/cache.js'
+import { HttpError } from '../../_shared/http.js'
+import { requireRole } from '../../_shared/roles.js'
+import { oneOf, optional, readDateRange, validate, validationError } from '../../_shared/validation.js'
+import { MEAL_BUCKETS } from '../../_shared/vocabulary.js'
+
+const DIMENSIONS         = ['eatery', 'bucket', 'cuisine_type', 'dish_type']
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS     = 366
+// Supabase's default PostgREST max_rows; longer RPC results are cut off silently
+const MAX_RPC_ROWS       = 1000
+// Only the busiest groups get a time series. With weekly periods (at most 54
+// in MAX_RANGE_DAYS) that stays under MAX_RPC_ROWS; daily only when it fits.
+const SERIES_GROUPS      = 10
+const CACHE_TTL_SECONDS  = 60
+
+const queryShape = {
+  group_by: optional(oneOf(DIMENSIONS)),
+  bucket:   optional(oneOf(MEAL_BUCKETS.map(b => b.value))),
+}
+
+/**
+ * Like ratio of rated dishes by the day they were served (?from=&to=,
+ * default the last 30 days), grouped by ?group_by= eatery | bucket |
+ * cuisine_type | dish_type and optionally limited to one meal ?bucket=.
+ * Returns totals for every group, and a daily or weekly series for the
+ * SERIES_GROUPS busiest ones (`series: null` for the rest). Analyst+.
+ */
+export async function onRequestGet(context) {
+  const { request, data } = context
+  await requireRole(data, 'analyst')
+
+  const url    = new URL(request.url)
+  const params = Object.fromEntries([...url.searchParams].filter(([, v]) => v !== ''))
+  const { from, to } = readDateRange(params, { defaultDays: DEFAULT_RANGE_DAYS, maxDays: MAX_RANGE_DAYS })
+  const { value: query, errors } = validate(params, queryShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const groupBy  = query.group_by || 'eatery'
+  const bucket   = query.bucket || null
+  const days     = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000) + 1
+  const interval = days * SERIES_GROUPS <= MAX_RPC_ROWS ? 'day' : 'week'
+
+  const key = `${url.origin}/api/admin/satisfaction?from=${from}&to=${to}&group_by=${groupBy}&bucket=${bucket ?? ''}`
+  return cachedJson(context, key, CACHE_TTL_SECONDS, async () => {
+    const range = { p_from: from, p_to: to, p_group: groupBy, p_bucket: bucket }
+
+    // Totals come from their own query (one row per group), so they never
+    // depend on how many series rows fit under the cap
+    const { data: totals, error: totalsError } = await data.service.rpc('admin_satisfaction_totals', range)
+    if (totalsError) throw new HttpError(500, 'Failed to fetch satisfaction stats', { cause: totalsError })
+
+    const seriesKeys = totals.slice(0, SERIES_GROUPS).map(t => t.group_key)
+    const { data: series, error: seriesError } = seriesKeys.length === 0
+      ? { data: [], error: null }
+      : await data.service.rpc('admin_satisfaction_series', { ...range, p_groups: seriesKeys, p_interval: interval })
+    if (seriesError) throw new HttpError(500, 'Failed to fetch satisfaction stats', { cause: seriesError })
+
+    return { from, to, group_by: groupBy, bucket, interval, groups: summarize(totals, series) }
+  })
+}
+
+function likeRatio(liked, disliked) {
+  const total = liked + disliked
+  return total > 0 ? liked / total : null
+}
+
+/**
+ * Totals [{ group_key, liked, disliked }] (busiest first) + series rows
+ * [{ period, group_key, liked, disliked }] → groups with their series.
+ */
+function summarize(totals, series) {
+  const seriesByKey = new Map()
+  for (const row of series) {
+    if (!seriesByKey.has(row.group_key)) seriesByKey.set(row.group_key, [])
+    seriesByKey.get(row.group_key).push({
+      period:     row.period,
+      liked:      row.liked,
+      disliked:   row.disliked,
+      like_ratio: likeRatio(row.liked, row.disliked),
+    })
+  }
+  return totals.map(t => ({
+    key:        t.group_key ?? 'unknown',
+    liked:      t.liked,
+    disliked:   t.disliked,
+    total:      t.liked + t.disliked,
+    like_ratio: likeRatio(t.liked, t.disliked),
+    series:     seriesByKey.get(t.group_key) ?? null,
+  }))
+}
@@ -1,98 +1,100 @@
-import { requireAdmin, createServiceClient } from '../../_shared/supabase.js'
+import { cachedJson } from '../../_shared/cache.js'
+import { addDays, campusDayStart } from '../../_shared/dates.js'
+import { HttpError } from '../../_shared/http.js'
+import { requireRole } from '../../_shared/roles.js'
+import { readDateRange } from '../../_shared/validation.js'
+import { UNSUBSCRIBE_REASONS } from '../../_shared/vocabulary.js'
 
-export async function onRequestGet({ request, env }) {
-  const { user, error, status } = await requireAdmin(request, env)
-  if (!user) return Response.json({ error }, { status })
+const DEFAULT_RANGE_DAYS = 30
+const MAX_RANGE_DAYS     = 366
+// Every staff member sees the same numbers, so one cached copy per range
+const CACHE_TTL_SECONDS  = 60
 
-  const service = createServiceClient(env)
+/**
+ * Dashboard numbers for the campus-local date range ?from=&to= (inclusive,
+ * default the last 30 days). Counting happens in SQL (admin_* functions in
+ * supabase/schema.sql); results are cached for a minute per range. Analyst+.
+ */
+export async function onRequestGet(context) {
+  const { request, data } = context
+  await requireRole(data, 'analyst')
 
-  const now            = new Date()
-  const thirtyDaysAgo  = new Date(now - 30 * 24 * 60 * 60 * 1000).toISOString()
-  const fourteenDaysAgo = new Date(now - 14 * 24 * 60 * 60 * 1000).toISOString()
+  const url = new URL(request.url)
+  const { from, to } = readDateRange(Object.fromEntries(url.searchParams), {
+    defaultDays: DEFAULT_RANGE_DAYS,
+    maxDays:     MAX_RANGE_DAYS,
+  })
+
+  const key = `${url.origin}/api/admin/stats?from=${from}&to=${to}`
+  return cachedJson(context, key, CACHE_TTL_SECONDS, () => buildStats(data.service, from, to))
+}
+
+async function buildStats(service, from, to) {
+  const range   = { p_from: from, p_to: to }
+  const startTs = campusDayStart(from)
+  const endTs   = campusDayStart(addDays(to, 1))
 
   const [
     totalUsersRes,
     totalSubsRes,
-    recentProfilesRes,
-    recentRatingsRes,
-    likedRatingsRes,
-    dislikedRatingsRes,
+    signupsRes,
+    ratingsByDayRes,
+    ratingsBySourceRes,
+    topLikedRes,
+    topDislikedRes,
     lastMenuRes,
+    unsubReasonsRes,
+    unsubCommentsRes,
+    abuseByRouteRes,
+    abuseRecentRes,
   ] = await Promise.all([
     service.from('profiles').select('*', { count: 'exact', head: true }),
     service.from('profiles').select('*', { count: 'exact', head: true }).eq('subscribed', true),
-    service.from('profiles').select('created_at').gte('created_at', thirtyDaysAgo),
-    service.from('ratings').select('created_at, rating').gte('created_at', fourteenDaysAgo),
-    service.from('ratings').select('dish_id, dishes(source_name)').eq('rating', 1),
-    service.from('ratings').select('dish_id, dishes(source_name)').eq('rating', -1),
-    service.from('daily_menus').select('menu_date, eatery').order('menu_date', { ascending: false }).limit(200),
+    service.rpc('admin_signups_by_day', range),
+    service.rpc('admin_ratings_by_day', range),
+    service.rpc('admin_ratings_by_source', range),
+    service.rpc('admin_top_dishes', { ...range, p_rating: 1 }),
+    service.rpc('admin_top_dishes', { ...range, p_rating: -1 }),
+    service.rpc('admin_last_menu'),
+    service.rpc('admin_unsubscribe_reasons', range),
+    service.from('unsubscribe_feedback').select('reason, comment, created_at')
+      .not('comment', 'is', null).neq('comment', '').gte('created_at', startTs).lt('created_at', endTs)
+      .order('created_at', { ascending: false }).limit(10),
+    service.rpc('admin_abuse_by_route', range),
+    service.from('abuse_events').select('route, method, key_type, subject, limit_count, window_seconds, created_at')
+      .gte('created_at', startTs).lt('created_at', endTs)
+      .order('created_at', { ascending: false }).limit(10),
   ])
 
-  // --- Signups by day ---
-  const signupMap = {}
-  recentProfilesRes.data?.forEach(p => {
-    const day = p.created_at.split('T')[0]
-    signupMap[day] = (signupMap[day] || 0) + 1
-  })
-  // Fill in zeros for missing days
-  const signupsByDay = []
-  for (let i = 29; i >= 0; i--) {
-    const d = new Date(now - i * 24 * 60 * 60 * 1000)
-    const dateStr = d.toISOString().split('T')[0]
-    signupsByDay.push({ date: dateStr.slice(5), count: signupMap[dateStr] || 0 })
-  }
+  const dbError = [
+    totalUsersRes, totalSubsRes, signupsRes, ratingsByDayRes, ratingsBySourceRes, topLikedRes,
+    topDislikedRes, lastMenuRes, unsubReasonsRes, unsubCommentsRes, abuseByRouteRes, abuseRecentRes,
+  ].find(r => r.error)?.error
+  if (dbError) throw new HttpError(500, 'Failed to fetch stats', { cause: dbError })
 
-  // --- Ratings by day ---
-  const ratingMap = {}
-  recentRatingsRes.data?.forEach(r => {
-    const day = r.created_at.split('T')[0]
-    if (!ratingMap[day]) ratingMap[day] = { liked: 0, disliked: 0 }
-    if (r.rating === 1)  ratingMap[day].liked++
-    else                 ratingMap[day].disliked++
-  })
-  const ratingsByDay = []
-  for (let i = 13; i >= 0; i--) {
-    const d = new Date(now - i * 24 * 60 * 60 * 1000)
-    const dateStr = d.toISOString().split('T')[0]
-    ratingsByDay.push({
-      date: dateStr.slice(5),
-      liked:    ratingMap[dateStr]?.liked    || 0,
-      disliked: ratingMap[dateStr]?.disliked || 0,
-    })
-  }
+  const reasonLabels = Object.fromEntries(UNSUBSCRIBE_REASONS.map(r => [r.value, r.label]))
+  const lastMenu     = lastMenuRes.data?.[0]
 
-  // --- Top liked / disliked ---
-  function topDishes(rows) {
-    const counts = {}
-    const names  = {}
-    rows?.forEach(r => {
-      counts[r.dish_id] = (counts[r.dish_id] || 0) + 1
-      names[r.dish_id]  = r.dishes?.source_name || 'Unknown'
-    })
-    return Object.entries(counts)
-      .sort(([, a], [, b]) => b - a)
-      .slice(0, 5)
-      .map(([dish_id, count]) => ({ dish_id: parseInt(dish_id, 10), name: names[dish_id], count }))
+  return {
+    from,
+    to,
+    total_users:            totalUsersRes.count ?? 0,
+    total_subscribers:      totalSubsRes.count  ?? 0,
+    signups_by_day:         signupsRes.data.map(r => ({ date: r.day, count: r.count })),
+    ratings_by_day:         ratingsByDayRes.data.map(r => ({ date: r.day, liked: r.liked, disliked: r.disliked })),
+    // A spike in email ratings without web activity is the first thing to
+    // check for link-scanner noise
+    ratings_by_source:      Object.fromEntries(ratingsBySourceRes.data.map(r => [r.source, r.count])),
+    top_liked:              topLikedRes.data,
+    top_disliked:           topDislikedRes.data,
+    last_menu_date:         lastMenu?.menu_date ?? null,
+    last_menu_eatery_count: lastMenu?.eatery_count ?? 0,
+    unsubscribe_reasons:    unsubReasonsRes.data
+      .map(r => ({ reason: r.reason, label: reasonLabels[r.reason] ?? r.reason, count: r.count })),
+    unsubscribe_comments:   unsubCommentsRes.data,
+    abuse_events: {
+      by_route: abuseByRouteRes.data,
+      recent:   abuseRecentRes.data,
+    },
   }
-
-  // --- Last menu date + eatery count ---
-  const lastMenuDate = lastMenuRes.data?.[0]?.menu_date ?? null
-  const lastMenuEateryCount = lastMenuDate
-    ? new Set(
-        lastMenuRes.data
-          ?.filter(m => m.menu_date === lastMenuDate)
-          .map(m => m.eatery)
-      ).size
-    : 0
-
-  return Response.json({
-    total_users:              totalUsersRes.count ?? 0,
-    total_subscribers:        totalSubsRes.count  ?? 0,
-    signups_by_day:           signupsByDay,
-    ratings_by_day:           ratingsByDay,
-    top_liked:                topDishes(likedRatingsRes.data),
-    top_disliked:             topDishes(dislikedRatingsRes.data),
-    last_menu_date:           lastMenuDate,
-    last_menu_eatery_count:   lastMenuEateryCount,
-  })
 }
@@ -0,0 +1,118 @@
+import { todayInCampusTz } from '../../_shared/dates.js'
+import { HttpError } from '../../_shared/http.js'
+import { ratingToScore } from '../../_shared/ratings.js'
+import { recommendationsFor } from '../../_shared/recommend.js'
+import { getRole, requireRole } from '../../_shared/roles.js'
+import { escapeLike } from '../../_shared/supabase.js'
+import { date, integer, oneOf, optional, string, uuid, validate, validationError } from '../../_shared/validation.js'
+
+const DEFAULT_PAGE_SIZE = 25
+const MAX_PAGE_SIZE     = 100
+const RECENT_RATINGS    = 20
+
+const listQueryShape = {
+  q:          optional(string({ maxLength: 320, lowercase: true })),
+  subscribed: optional(oneOf(['true', 'false'])),
+  page:       optional(integer({ min: 1 })),
+  limit:      optional(integer({ min: 1, max: MAX_PAGE_SIZE })),
+}
+
+const detailQueryShape = {
+  id:   uuid(),
+  date: optional(date()),
+}
+
+/**
+ * Without ?id=: searches accounts by email (q), optionally by subscribed,
+ * paged with page/limit. With ?id=: one user's profile, preferences, recent
+ * ratings and a preview of their recommendations for ?date= (default today),
+ * computed exactly as /api/recommendations would for them. Read-only; admin
+ * only, since it exposes other students' data.
+ */
+export async function onRequestGet({ request, data }) {
+  await requireRole(data, 'admin')
+
+  const url = new URL(request.url)
+  // Empty params (e.g. "?q=") mean "no filter"
+  const params = Object.fromEntries([...url.searchParams].filter(([, v]) => v !== ''))
+
+  return Response.json(params.id ? await userDetail(data.service, params) : await listUsers(data.service, params))
+}
+
+async function listUsers(service, params) {
+  const { value: filters, errors } = validate(params, listQueryShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const page  = filters.page || 1
+  const limit = filters.limit || DEFAULT_PAGE_SIZE
+  const from  = (page - 1) * limit
+
+  let query = service
+    .from('profiles')
+    .select('id, email, subscribed, created_at, ratings(count), user_preferences(vector_stale)', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(from, from + limit - 1)
+
+  if (filters.q)          query = query.ilike('email', `%${escapeLike(filters.q)}%`)
+  if (filters.subscribed) query = query.eq('subscribed', filters.subscribed === 'true')
+
+  const { data: rows, count, error: dbError } = await query
+  if (dbError) throw new HttpError(500, 'Failed to fetch users', { cause: dbError })
+
+  const users = (rows || []).map(({ ratings, user_preferences, ...u }) => ({
+    ...u,
+    rating_count: ratings?.[0]?.count ?? 0,
+    vector_stale: user_preferences?.vector_stale ?? null,
+  }))
+  return { users, total: count ?? 0, page, limit }
+}
+
+async function userDetail(service, params) {
+  const { value: query, errors } = validate(params, detailQueryShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  const [profileRes, prefsRes, ratingsRes, countRes] = await Promise.all([
+    service
+      .from('profiles')
+      .select('id, email, subscribed, paused_until, meal_buckets, email_weekdays, email_weekends, created_at')
+      .eq('id', query.id)
+      .maybeSingle(),
+    service
+      .from('user_preferences')
+      .select(
+        'preference_vector, vector_stale, flavor_weights, method_weights, cuisine_weights, ' +
+        'dietary_restrictions, initial_ingredients, avoided_ingredients, updated_at'
+      )
+      .eq('user_id', query.id)
+      .maybeSingle(),
+    service
+      .from('rating_history')
+      .select('id, dish_id, rating, strength, source, menu_date, source_name, cuisine_type, eateries')
+      .eq('user_id', query.id)
+      .order('id', { ascending: false })
+      .limit(RECENT_RATINGS),
+    service
+      .from('ratings')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', query.id),
+  ])
+
+  const dbError = profileRes.error || prefsRes.error || ratingsRes.error || countRes.error
+  if (dbError) throw new HttpError(500, 'Failed to fetch user', { cause: dbError })
+  if (!profileRes.data) throw new HttpError(404, 'User not found')
+
+  const [role, recommendations] = await Promise.all([
+    getRole(service, query.id),
+    recommendationsFor(service, query.id, query.date || todayInCampusTz()),
+  ])
+
+  // The 300-dim vector is only useful to the ranking, not to a person
+  const { preference_vector, ...preferences } = prefsRes.data || {}
+  return {
+    profile:        { ...profileRes.data, role },
+    preferences:    prefsRes.data ? { ...preferences, has_vector: Boolean(preference_vector) } : null,
+    rating_count:   countRes.count ?? 0,
+    recent_ratings: (ratingsRes.data || []).map(r => ({ ...r, score: ratingToScore(r.rating, r.strength) })),
+    recommendations,
+  }
+}
@@ -0,0 +1,19 @@
+import { HttpError } from '../../_shared/http.js'
+import { resumeExpiredPauses } from '../../_shared/subscriptions.js'
+
+/**
+ * Scheduled job: re-subscribes users whose pause has ended. Pages Functions
+ * have no cron triggers, so the daily GitHub Actions workflow calls this
+ * before sending emails; locally it can be hit with curl against
+ * `wrangler pages dev`. Authorized by `Authorization: Bearer <CRON_SECRET>`.
+ */
+export async function onRequestPost({ request, env, data }) {
+  if (!env.CRON_SECRET || request.headers.get('Authorization') !== `Bearer ${env.CRON_SECRET}`) {
+    throw new HttpError(401, 'Unauthorized')
+  }
+
+  const { resumed, error } = await resumeExpiredPauses(data.service)
+  if (error) throw new HttpError(500, 'Failed to resume subscriptions', { cause: error })
+
+  return Response.json({ ok: true, resumed })
+}
@@ -0,0 +1,116 @@
+import { HttpError } from '../_shared/http.js'
+import { requireUser } from '../_shared/supabase.js'
+import { ratingToScore } from '../_shared/ratings.js'
+import { oneOf, optional, validate, validationError } from '../_shared/validation.js'
+
+const EXPORT_VERSION = 1
+
+const CSV_TABLES = ['profile', 'preferences', 'ratings']
+const PAGE_SIZE  = 1000
+
+/**
+ * GET /api/export?format=json            → one JSON document with everything
+ * GET /api/export?format=csv&table=NAME  → one CSV file per table (profile | preferences | ratings)
+ */
+export async function onRequestGet({ request, data }) {
+  const user = requireUser(data)
+
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), {
+    format: optional(oneOf(['json', 'csv'])),
+    table:  optional(oneOf(CSV_TABLES)),
+  })
+  if (errors.length > 0) throw validationError(errors)
+
+  const format = params.format || 'json'
+  const table  = params.table
+  if (format === 'csv' && !table) throw validationError([{ path: 'table', message: 'required for csv' }])
+
+  const { service } = data
+  const [profileRes, prefsRes, ratingsRes] = await Promise.all([
+    service
+      .from('profiles')
+      .select('email, subscribed, meal_buckets, email_weekdays, email_weekends, paused_until, created_at, updated_at')
+      .eq('id', user.id)
+      .maybeSingle(),
+    service
+      .from('user_preferences')
+      .select('cuisine_weights, flavor_weights, method_weights, dietary_restrictions, initial_ingredients, avoided_ingredients, updated_at')
+      .eq('user_id', user.id)
+      .maybeSingle(),
+    fetchAllRatings(service, user.id),
+  ])
+
+  const dbError = profileRes.error || prefsRes.error || ratingsRes.error
+  if (dbError) throw new HttpError(500, 'Failed to export data', { cause: dbError })
+
+  const doc = {
+    version:     EXPORT_VERSION,
+    exported_at: new Date().toISOString(),
+    profile:     profileRes.data,
+    preferences: prefsRes.data,
+    ratings:     ratingsRes.data,
+  }
+  const stamp = doc.exported_at.split('T')[0]
+
+  if (format === 'json') {
+    return new Response(JSON.stringify(doc, null, 2), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Disposition': `attachment; filename="campus-meal-pick-${stamp}.json"`,
+      },
+    })
+  }
+
+  const rows = table === 'ratings' ? doc.ratings : [doc[table]].filter(Boolean)
+  return new Response(toCsv(rows), {
+    headers: {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="campus-meal-pick-${table}-${stamp}.csv"`,
+    },
+  })
+}
+
+/** Reads the full rating history in pages (PostgREST caps a single response). */
+async function fetchAllRatings(service, userId) {
+  const all = []
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await service
+      .from('ratings')
+      .select('rating, strength, source, menu_date, created_at, dishes(normalized_name, source_name)')
+      .eq('user_id', userId)
+      .order('id', { ascending: true })
+      .range(from, from + PAGE_SIZE - 1)
+    if (error) return { data: null, error }
+
+    for (const r of data || []) {
+      all.push({
+        dish_name:       r.dishes?.source_name ?? null,
+        normalized_name: r.dishes?.normalized_name ?? null,
+        rating:          r.rating,
+        strength:        r.strength,
+        score:           ratingToScore(r.rating, r.strength),
+        source:          r.source,
+        menu_date:       r.menu_date,
+        created_at:      r.created_at,
+      })
+    }
+    if (!data || data.length < PAGE_SIZE) return { data: all, error: null }
+  }
+}
+
+function toCsv(rows) {
+  if (rows.length === 0) return ''
+  const columns = Object.keys(rows[0])
+  const lines = [columns.join(',')]
+  for (const row of rows) {
+    lines.push(columns.map(c => csvCell(row[c])).join(','))
+  }
+  return lines.join('\r\n') + '\r\n'
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return ''
+  const str = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str
+}
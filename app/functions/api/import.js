@@ -0,0 +1,138 @@
+import { HttpError } from '../_shared/http.js'
+import { requireUser } from '../_shared/supabase.js'
+import { MAX_IMPORT_RATINGS, RATING_SOURCES, scoreToRating } from '../_shared/ratings.js'
+import {
+  arrayOf,
+  date,
+  fields,
+  number,
+  object,
+  oneOf,
+  optional,
+  readJson,
+  string,
+  validate,
+  validationError,
+} from '../_shared/validation.js'
+
+const LOOKUP_CHUNK = 200
+
+const ratingShape = object({
+  normalized_name: string({ nonEmpty: true }),
+  menu_date:       date(),
+  rating:          optional(oneOf([1, -1])),
+  strength:        optional(number({ min: 0, max: 1 })),
+  score:           optional(fields.score),
+  source:          optional(oneOf(RATING_SOURCES)),
+})
+
+const importShape = {
+  preferences: optional(object({
+    cuisine_weights:      optional(fields.cuisineWeights),
+    flavor_weights:       optional(fields.flavorWeights),
+    method_weights:       optional(fields.methodWeights),
+    dietary_restrictions: optional(fields.dietaryRestrictions),
+    initial_ingredients:  optional(fields.ingredients),
+    avoided_ingredients:  optional(fields.ingredients),
+  })),
+  ratings: optional(arrayOf(importedRating, { maxItems: MAX_IMPORT_RATINGS })),
+}
+
+/**
+ * Restores preferences and ratings from a /api/export JSON document.
+ * Preference fields missing from the document keep their stored values, so
+ * a large export can be sent in several ratings-only batches. Imported
+ * ratings are stored with source 'import', whatever the file says.
+ * Ratings are matched to dishes by normalized_name; rows that match no dish
+ * are reported back instead of failing the import.
+ */
+export async function onRequestPost({ request, data }) {
+  const user = requireUser(data)
+
+  const raw = await readJson(request)
+  // Exports of users who never onboarded carry "preferences": null
+  if (raw?.preferences === null) delete raw.preferences
+
+  const { value: body, errors } = validate(raw, importShape)
+  if (errors.length > 0) throw validationError(errors, 'Invalid import file')
+
+  const ratings = body.ratings || []
+
+  const { service } = data
+
+  // Only the preference fields present in the file are written: the upsert
+  // updates just the columns it sends, so a ratings-only or partial export
+  // leaves the rest of the stored preferences as they are
+  const { error: upsertError } = await service.from('user_preferences').upsert(
+    {
+      user_id:      user.id,
+      ...body.preferences,
+      vector_stale: true,
+      updated_at:   new Date().toISOString(),
+    },
+    { onConflict: 'user_id' },
+  )
+
+  if (upsertError) throw new HttpError(500, 'Failed to import preferences', { cause: upsertError })
+
+  // Map normalized dish names → dishes.id
+  const names = [...new Set(ratings.map(r => r.normalized_name))]
+  const idByName = {}
+  for (let i = 0; i < names.length; i += LOOKUP_CHUNK) {
+    const { data: dishes, error: lookupError } = await service
+      .from('dishes')
+      .select('id, normalized_name')
+      .in('normalized_name', names.slice(i, i + LOOKUP_CHUNK))
+    if (lookupError) throw new HttpError(500, 'Failed to import ratings', { cause: lookupError })
+    dishes?.forEach(d => { idByName[d.normalized_name] = d.id })
+  }
+
+  const unmatched = []
+  const rowsByKey = {}
+  for (const r of ratings) {
+    const dishId = idByName[r.normalized_name]
+    if (!dishId) {
+      unmatched.push({ normalized_name: r.normalized_name, menu_date: r.menu_date })
+      continue
+    }
+    // Later duplicates win, matching the table's (user, dish, date) uniqueness
+    rowsByKey[`${dishId}|${r.menu_date}`] = {
+      user_id:   user.id,
+      dish_id:   dishId,
+      rating:    r.rating,
+      strength:  r.strength,
+      source:    'import',
+      menu_date: r.menu_date,
+    }
+  }
+  const rows = Object.values(rowsByKey)
+
+  if (rows.length > 0) {
+    const { error: ratingError } = await service
+      .from('ratings')
+      .upsert(rows, { onConflict: 'user_id,dish_id,menu_date' })
+    if (ratingError) throw new HttpError(500, 'Failed to import ratings', { cause: ratingError })
+  }
+
+  return Response.json({
+    ok: true,
+    imported_ratings: rows.length,
+    unmatched,
+  })
+}
+
+/** One exported rating: exact rating + strength when present, else a 1–10 score. */
+function importedRating(value, path) {
+  const { value: r, errors } = ratingShape(value, path)
+  if (errors.length > 0) return { value: undefined, errors }
+
+  // `source` is still validated (exports carry it) but not kept
+  const { normalized_name, menu_date } = r
+  if (r.rating !== undefined && r.strength !== undefined) {
+    return { value: { normalized_name, menu_date, rating: r.rating, strength: r.strength }, errors: [] }
+  }
+  if (r.score !== undefined) {
+    return { value: { normalized_name, menu_date, ...scoreToRating(r.score) }, errors: [] }
+  }
+  return { value: undefined, errors: [{ path, message: 'needs rating (1/-1) + strength (0-1) or score (1-10)' }] }
+}
@@ -0,0 +1,37 @@
+import { HttpError } from '../_shared/http.js'
+import { createAnonClient, escapeLike, requireUser } from '../_shared/supabase.js'
+import { integer, optional, string, validate, validationError } from '../_shared/validation.js'
+
+const DEFAULT_LIMIT = 30
+
+/**
+ * Ingredient vocabulary for the preference picker: distinct dishes.ingredients,
+ * most common first, optionally narrowed by a substring (`q`).
+ */
+export async function onRequestGet({ request, env, data }) {
+  requireUser(data)
+
+  const url = new URL(request.url)
+  const params = Object.fromEntries([...url.searchParams].filter(([, v]) => v !== ''))
+  const { value: query, errors } = validate(params, {
+    q:     optional(string({ maxLength: 50, lowercase: true })),
+    limit: optional(integer({ min: 1, max: 100 })),
+  })
+  if (errors.length > 0) throw validationError(errors)
+
+  const supabase = createAnonClient(env, request.headers.get('Authorization'))
+  let req = supabase
+    .from('ingredient_vocabulary')
+    .select('ingredient, dish_count')
+    .order('dish_count', { ascending: false })
+    .order('ingredient')
+    .limit(query.limit || DEFAULT_LIMIT)
+
+  if (query.q) req = req.ilike('ingredient', `%${escapeLike(query.q)}%`)
+
+  const { data: vocabulary, error: dbError } = await req
+
+  if (dbError) throw new HttpError(500, 'Failed to fetch ingredients', { cause: dbError })
+
+  return Response.json(vocabulary || [])
+}
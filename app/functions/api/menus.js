@@ -0,0 +1,43 @@
+import { HttpError } from '../_shared/http.js'
+import { createAnonClient, requireUser } from '../_shared/supabase.js'
+import { ratingToScore } from '../_shared/ratings.js'
+import { date as dateField, validate, validationError } from '../_shared/validation.js'
+
+/**
+ * Menu browser for regular users: the day's daily_menus entries plus the
+ * caller's own 1–10 score (if any) for each dish on that date.
+ */
+export async function onRequestGet({ request, env, data }) {
+  const user = requireUser(data)
+
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), { date: dateField() })
+  if (errors.length > 0) throw validationError(errors)
+
+  const date = params.date
+
+  const supabase = createAnonClient(env, request.headers.get('Authorization'))
+  const [menuRes, ratingsRes] = await Promise.all([
+    supabase
+      .from('daily_menus')
+      .select('id, dish_id, eatery, bucket, dishes(source_name, dish_type)')
+      .eq('menu_date', date)
+      .order('eatery'),
+    supabase
+      .from('ratings')
+      .select('dish_id, rating, strength')
+      .eq('user_id', user.id)
+      .eq('menu_date', date),
+  ])
+
+  if (menuRes.error || ratingsRes.error) {
+    throw new HttpError(500, 'Failed to fetch menus', { cause: menuRes.error || ratingsRes.error })
+  }
+
+  const myScores = {}
+  ratingsRes.data?.forEach(r => { myScores[r.dish_id] = ratingToScore(r.rating, r.strength) })
+
+  return Response.json(
+    (menuRes.data || []).map(m => ({ ...m, my_score: myScores[m.dish_id] ?? null }))
+  )
+}
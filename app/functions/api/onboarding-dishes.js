@@ -1,19 +1,18 @@
-import { createAnonClient, requireAuth } from '../_shared/supabase.js'
+import { HttpError } from '../_shared/http.js'
+import { createAnonClient, requireUser } from '../_shared/supabase.js'
 
-export async function onRequestGet({ request, env }) {
-  const { user, error, status } = await requireAuth(request, env)
-  if (!user) return Response.json({ error }, { status })
+export async function onRequestGet({ request, env, data }) {
+  requireUser(data)
 
   const supabase = createAnonClient(env, request.headers.get('Authorization'))
-  const { data, error: dbError } = await supabase
+  const { data: dishes, error: dbError } = await supabase
     .from('dishes')
     .select('id, source_name, cuisine_type')
     .eq('is_onboarding_dish', true)
+    .order('onboarding_position', { nullsFirst: false })
+    .order('id')
 
-  if (dbError) {
-    console.error('Onboarding dishes fetch error:', dbError)
-    return Response.json({ error: 'Failed to fetch onboarding dishes' }, { status: 500 })
-  }
+  if (dbError) throw new HttpError(500, 'Failed to fetch onboarding dishes', { cause: dbError })
 
-  return Response.json(data || [])
+  return Response.json(dishes || [])
 }
@@ -0,0 +1,31 @@
+import { verifyActionToken } from '../_shared/hmac.js'
+import { pauseSubscription, quickPauseResumeDate } from '../_shared/subscriptions.js'
+
+/**
+ * "Pause for a week instead" on the unsubscribe confirmation page (form POST
+ * with the signed token /api/unsubscribe issued for the same address).
+ */
+export async function onRequestPost({ request, env, data }) {
+  const form  = await request.formData().catch(() => null)
+  const email = (form?.get('email') || '').trim().toLowerCase()
+  const token = form?.get('token') || ''
+
+  if (!email || !token) {
+    return Response.redirect('/unsubscribe?status=error&msg=Invalid+link', 303)
+  }
+
+  const { valid, error: tokenError } = await verifyActionToken(env, { action: 'pause', email, token })
+  if (!valid) {
+    return Response.redirect(`/unsubscribe?status=error&msg=${encodeURIComponent(tokenError)}`, 303)
+  }
+
+  const resumeOn = quickPauseResumeDate()
+  const { error } = await pauseSubscription(data.service, { email }, resumeOn)
+
+  if (error) {
+    data.log.error('Pause failed', { error })
+    return Response.redirect('/unsubscribe?status=error&msg=Server+error', 303)
+  }
+
+  return Response.redirect(`/unsubscribe?status=paused&until=${resumeOn}`, 303)
+}
@@ -1,18 +1,35 @@
-import { requireAuth, createServiceClient } from '../_shared/supabase.js'
+import { HttpError } from '../_shared/http.js'
+import { requireUser } from '../_shared/supabase.js'
+import { scoreToRating } from '../_shared/ratings.js'
+import {
+  arrayOf, fields, object, optional, readJson, validate, validationError,
+} from '../_shared/validation.js'
 
-export async function onRequestPost({ request, env }) {
-  const { user, error, status } = await requireAuth(request, env)
-  if (!user) return Response.json({ error }, { status })
+const preferencesShape = {
+  cuisine_weights:      optional(fields.cuisineWeights),
+  flavor_weights:       optional(fields.flavorWeights),
+  method_weights:       optional(fields.methodWeights),
+  ingredients:          optional(fields.ingredients),
+  avoided_ingredients:  optional(fields.ingredients),
+  dietary_restrictions: optional(fields.dietaryRestrictions),
+  dish_ratings:         optional(arrayOf(object({ dish_id: fields.id, score: fields.score }), { maxItems: 50 })),
+}
+
+export async function onRequestPost({ request, data }) {
+  const user = requireUser(data)
+
+  const { value: body, errors } = validate(await readJson(request), preferencesShape)
+  if (errors.length > 0) throw validationError(errors)
 
-  const body = await request.json()
   const cuisineWeights      = body.cuisine_weights      || {}
   const flavorWeights       = body.flavor_weights       || {}
   const methodWeights       = body.method_weights       || {}
   const ingredients         = body.ingredients          || []
+  const avoidedIngredients  = body.avoided_ingredients  || []
   const dietaryRestrictions = body.dietary_restrictions || []
   const dishRatings         = body.dish_ratings         || []
 
-  const service = createServiceClient(env)
+  const { service } = data
 
   const { error: upsertError } = await service.from('user_preferences').upsert(
     {
@@ -21,6 +38,7 @@ export async function onRequestPost({ request, env }) {
       flavor_weights:        flavorWeights,
       method_weights:        methodWeights,
       initial_ingredients:   ingredients,
+      avoided_ingredients:   avoidedIngredients,
       dietary_restrictions:  dietaryRestrictions,
       vector_stale:          true,
       updated_at:            new Date().toISOString(),
@@ -28,24 +46,20 @@ export async function onRequestPost({ request, env }) {
     { onConflict: 'user_id' },
   )
 
-  if (upsertError) {
-    console.error('Preferences upsert error:', upsertError)
-    return Response.json({ error: 'Failed to save preferences' }, { status: 500 })
-  }
+  if (upsertError) throw new HttpError(500, 'Failed to save preferences', { cause: upsertError })
 
   if (dishRatings.length > 0) {
     const today = new Date().toISOString().split('T')[0]
     const rows = dishRatings.map(({ dish_id, score }) => {
-      const direction = score >= 6 ? 1 : -1
-      const strength  = Math.abs(score - 5.5) / 4.5
-      return { user_id: user.id, dish_id, rating: direction, strength, menu_date: today }
+      const { rating, strength } = scoreToRating(score)
+      return { user_id: user.id, dish_id, rating, strength, menu_date: today, source: 'onboarding' }
     })
     const { error: ratingError } = await service
       .from('ratings')
       .upsert(rows, { onConflict: 'user_id,dish_id,menu_date' })
     if (ratingError) {
-      console.error('Onboarding ratings upsert error:', ratingError)
       // Non-fatal
+      data.log.error('Onboarding ratings upsert failed', { error: ratingError })
     }
   }
 
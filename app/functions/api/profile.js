@@ -1,26 +1,84 @@
-import { requireAuth, createServiceClient } from '../_shared/supabase.js'
+import { HttpError } from '../_shared/http.js'
+import { requireUser } from '../_shared/supabase.js'
+import { todayInCampusTz } from '../_shared/dates.js'
+import {
+  boolean, date, fields, nullable, optional, readJson, string, validate, validationError,
+} from '../_shared/validation.js'
 
-export async function onRequestPatch({ request, env }) {
-  const { user, error, status } = await requireAuth(request, env)
-  if (!user) return Response.json({ error }, { status })
+const profilePatchShape = {
+  subscribed:           optional(boolean()),
+  meal_buckets:         optional(fields.mealBuckets),
+  email_weekdays:       optional(boolean()),
+  email_weekends:       optional(boolean()),
+  paused_until:         optional(nullable(date())),
+  cuisine_weights:      optional(fields.cuisineWeights),
+  flavor_weights:       optional(fields.flavorWeights),
+  method_weights:       optional(fields.methodWeights),
+  dietary_restrictions: optional(fields.dietaryRestrictions),
+  initial_ingredients:  optional(fields.ingredients),
+  avoided_ingredients:  optional(fields.ingredients),
+}
 
-  const body = await request.json()
-  const service = createServiceClient(env)
+export async function onRequestPatch({ request, data }) {
+  const user = requireUser(data)
 
-  // Update profiles.subscribed if provided
-  if (typeof body.subscribed === 'boolean') {
-    const { error: profileError } = await service
+  const { value: body, errors } = validate(await readJson(request), profilePatchShape)
+  if (errors.length > 0) throw validationError(errors)
+
+  if (body.meal_buckets?.length === 0) {
+    throw validationError([{ path: 'meal_buckets', message: 'pick at least one meal (or unsubscribe)' }])
+  }
+  // A pause is { subscribed: false, paused_until: <resume date> }; the daily
+  // resume job switches it back on. Any other subscribed change ends the pause.
+  if (body.paused_until) {
+    if (body.paused_until <= todayInCampusTz()) {
+      throw validationError([{ path: 'paused_until', message: 'resume date must be in the future' }])
+    }
+    if (body.subscribed === true) {
+      throw validationError([{ path: 'subscribed', message: 'cannot be true while pausing' }])
+    }
+    body.subscribed = false
+  } else if (body.subscribed !== undefined) {
+    body.paused_until = null
+  }
+
+  const { service } = data
+
+  // Weekdays/weekends must stay on for at least one; a PATCH may send only one
+  // of them, so check it against the stored value of the other
+  if (body.email_weekdays === false || body.email_weekends === false) {
+    const { data: stored, error: storedError } = await service
       .from('profiles')
-      .update({ subscribed: body.subscribed, updated_at: new Date().toISOString() })
+      .select('email_weekdays, email_weekends')
       .eq('id', user.id)
-    if (profileError) {
-      console.error('Profile update error:', profileError)
-      return Response.json({ error: 'Failed to update subscription' }, { status: 500 })
+      .single()
+    if (storedError) throw new HttpError(500, 'Failed to update subscription', { cause: storedError })
+    if (!(body.email_weekdays ?? stored.email_weekdays) && !(body.email_weekends ?? stored.email_weekends)) {
+      throw validationError([{ path: 'email_weekdays', message: 'pick weekdays, weekends or both' }])
     }
   }
 
-  // Update user_preferences fields if any weight/restriction field was sent
-  const prefFields = ['cuisine_weights', 'flavor_weights', 'method_weights', 'dietary_restrictions']
+  // Update subscription / delivery schedule fields on profiles if any were sent
+  const profileFields = ['subscribed', 'meal_buckets', 'email_weekdays', 'email_weekends', 'paused_until']
+  const profileUpdate = {}
+  for (const field of profileFields) {
+    if (body[field] !== undefined) profileUpdate[field] = body[field]
+  }
+
+  if (Object.keys(profileUpdate).length > 0) {
+    profileUpdate.updated_at = new Date().toISOString()
+    const { error: profileError } = await service
+      .from('profiles')
+      .update(profileUpdate)
+      .eq('id', user.id)
+    if (profileError) throw new HttpError(500, 'Failed to update subscription', { cause: profileError })
+  }
+
+  // Update user_preferences fields if any weight/restriction/ingredient field was sent
+  const prefFields = [
+    'cuisine_weights', 'flavor_weights', 'method_weights', 'dietary_restrictions',
+    'initial_ingredients', 'avoided_ingredients',
+  ]
   const prefUpdate = {}
   for (const field of prefFields) {
     if (body[field] !== undefined) prefUpdate[field] = body[field]
@@ -34,11 +92,46 @@ export async function onRequestPatch({ request, env }) {
       .from('user_preferences')
       .upsert({ user_id: user.id, ...prefUpdate }, { onConflict: 'user_id' })
 
-    if (prefError) {
-      console.error('Preferences update error:', prefError)
-      return Response.json({ error: 'Failed to update preferences' }, { status: 500 })
-    }
+    if (prefError) throw new HttpError(500, 'Failed to update preferences', { cause: prefError })
+  }
+
+  return Response.json({ ok: true })
+}
+
+// Deleting also needs a sign-in this recent, so a long-lived session on an
+// unattended device can't delete the account on its own
+const RECENT_SIGN_IN_MS = 10 * 60 * 1000
+
+/**
+ * Permanently deletes the caller's account. Requires { confirm_email }
+ * matching the account email and a sign-in within the last few minutes.
+ * Removing the auth user cascades to profiles, user_preferences and ratings.
+ */
+export async function onRequestDelete({ request, data }) {
+  const user = requireUser(data)
+
+  const { value: body, errors } = validate(await readJson(request), {
+    confirm_email: optional(string({ maxLength: 320, lowercase: true })),
+  })
+  if (errors.length > 0) throw validationError(errors)
+
+  if (!body.confirm_email || body.confirm_email !== (user.email || '').toLowerCase()) {
+    throw validationError(
+      [{ path: 'confirm_email', message: 'must match your account email' }],
+      'Type your account email to confirm deletion',
+    )
   }
+  const lastSignIn = user.last_sign_in_at ? Date.parse(user.last_sign_in_at) : 0
+  if (Date.now() - lastSignIn >= RECENT_SIGN_IN_MS) {
+    throw new HttpError(403, 'Sign out and sign in again, then delete your account within 10 minutes', {
+      code: 'reauth_required',
+    })
+  }
+
+  const { service } = data
+  const { error: deleteError } = await service.auth.admin.deleteUser(user.id)
+
+  if (deleteError) throw new HttpError(500, 'Failed to delete account', { cause: deleteError })
 
   return Response.json({ ok: true })
 }
@@ -1,69 +1,96 @@
-import { hmacVerify } from '../_shared/hmac.js'
-import { createServiceClient } from '../_shared/supabase.js'
+import { verifyActionToken } from '../_shared/hmac.js'
+import { findMenuEntry, parseScore, rateMenuEntry } from '../_shared/ratings.js'
 
-export async function onRequestGet({ request, env }) {
-  const url    = new URL(request.url)
-  const email  = (url.searchParams.get('email')   || '').trim().toLowerCase()
-  const token  = url.searchParams.get('token')    || ''
-  const menuId = url.searchParams.get('menu_id')  || ''
-  const date   = url.searchParams.get('date')     || ''
-  const rating = url.searchParams.get('rating')   || ''
+/**
+ * Email rating link target. Verifies the link and forwards to the rate page
+ * in a pending state; nothing is written on GET, because link scanners
+ * (e.g. Outlook Safe Links) fetch every link in the email.
+ */
+export async function onRequestGet({ request, env, data }) {
+  const link = await readLink(env, new URL(request.url).searchParams)
+  if (link.error) return redirect(`/rate?status=error&msg=${encodeURIComponent(link.error)}`)
 
-  if (!email || !token || !menuId || !date || !['up', 'down'].includes(rating)) {
-    return redirect('/rate?status=error&msg=Invalid+rating+link')
-  }
+  const entry = await findMenuEntry(data.service, link.menuId)
+  if (!entry) return redirect('/rate?status=error&msg=Dish+not+found')
 
-  const valid = await hmacVerify(env.HMAC_SECRET, email, token)
-  if (!valid) {
-    return redirect('/rate?status=error&msg=Invalid+or+tampered+token')
-  }
+  const params = new URLSearchParams({
+    status:  'pending',
+    email:   link.email,
+    token:   link.token,
+    menu_id: link.menuId,
+    date:    link.date,
+    score:   String(link.score),
+    dish:    entry.dishName,
+  })
+  return redirect(`/rate?${params}`)
+}
 
-  const service = createServiceClient(env)
+/**
+ * One-tap confirm from the pending rate page (form POST carrying the same
+ * signed link fields). Writes the rating with source 'email'.
+ */
+export async function onRequestPost({ request, env, data }) {
+  const form = await request.formData().catch(() => null)
+  const link = await readLink(env, form || new URLSearchParams())
+  if (link.error) return redirect(`/rate?status=error&msg=${encodeURIComponent(link.error)}`, 303)
+
+  const { service } = data
 
   const { data: profiles } = await service
     .from('profiles')
     .select('id')
-    .eq('email', email)
+    .eq('email', link.email)
     .limit(1)
 
   if (!profiles || profiles.length === 0) {
-    return redirect('/rate?status=error&msg=No+account+found+for+this+email')
+    return redirect('/rate?status=error&msg=No+account+found+for+this+email', 303)
   }
   const userId = profiles[0].id
 
-  const { data: menuEntry } = await service
-    .from('daily_menus')
-    .select('dish_id, dishes(source_name)')
-    .eq('id', menuId)
-    .limit(1)
+  const { rating: saved, dishName, error: rateError, cause } = await rateMenuEntry(service, {
+    userId,
+    menuId: link.menuId,
+    score:  link.score,
+    source: 'email',
+  })
 
-  if (!menuEntry || menuEntry.length === 0) {
-    return redirect('/rate?status=error&msg=Dish+not+found')
+  if (rateError) {
+    if (cause) data.log.error('Email rating failed', { error: cause })
+    return redirect(`/rate?status=error&msg=${encodeURIComponent(rateError)}`, 303)
   }
 
-  const dishId   = menuEntry[0].dish_id
-  const dishName = menuEntry[0].dishes?.source_name || 'this dish'
-  const ratingVal = rating === 'up' ? 1 : -1
+  const status = saved.rating === 1 ? 'liked' : 'disliked'
+  return redirect(`/rate?status=${status}&score=${saved.score}&dish=${encodeURIComponent(dishName)}`, 303)
+}
 
-  const { error: ratingError } = await service.from('ratings').upsert(
-    { user_id: userId, dish_id: dishId, rating: ratingVal, menu_date: date },
-    { onConflict: 'user_id,dish_id,menu_date' },
-  )
+/**
+ * Reads and verifies the signed link fields from query params or form data.
+ * The token binds email + menu entry + date; the score is free so the rate
+ * page can offer the other levels. Returns the fields or { error }.
+ */
+async function readLink(env, params) {
+  const email  = (params.get('email')   || '').trim().toLowerCase()
+  const token  = params.get('token')    || ''
+  const menuId = params.get('menu_id')  || ''
+  const date   = params.get('date')     || ''
+  // `score` (1–10) for graded links; `rating=up|down` from older emails
+  const score  = parseScore(params.get('score'), params.get('rating'))
 
-  if (ratingError) {
-    console.error('Rating upsert error:', ratingError)
-    return redirect('/rate?status=error&msg=Failed+to+save+rating')
+  if (!email || !token || !menuId || !date || score === null) {
+    return { error: 'Invalid rating link' }
   }
 
-  await service.from('user_preferences').upsert(
-    { user_id: userId, vector_stale: true, updated_at: new Date().toISOString() },
-    { onConflict: 'user_id' },
-  )
+  const { valid, error } = await verifyActionToken(env, {
+    action: 'rate',
+    email,
+    scope: `${menuId}|${date}`,
+    token,
+  })
+  if (!valid) return { error }
 
-  const status = rating === 'up' ? 'liked' : 'disliked'
-  return redirect(`/rate?status=${status}&dish=${encodeURIComponent(dishName)}`)
+  return { email, token, menuId, date, score, error: null }
 }
 
-function redirect(location) {
-  return Response.redirect(location, 302)
+function redirect(location, status = 302) {
+  return Response.redirect(location, status)
 }
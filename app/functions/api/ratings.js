@@ -1,59 +1,220 @@
-import { requireAuth, createServiceClient } from '../_shared/supabase.js'
+import { HttpError } from '../_shared/http.js'
+import { escapeLike, requireUser } from '../_shared/supabase.js'
+import {
+  markVectorStale,
+  parseScore,
+  rateMenuEntry,
+  ratingToScore,
+  scoreToRating,
+} from '../_shared/ratings.js'
+import {
+  arrayOf,
+  date,
+  fields,
+  integer,
+  oneOf,
+  optional,
+  readJson,
+  string,
+  validate,
+  validationError,
+} from '../_shared/validation.js'
+import { CUISINES } from '../_shared/vocabulary.js'
 
-export async function onRequest({ request, env }) {
-  const { user, error, status } = await requireAuth(request, env)
-  if (!user) return Response.json({ error }, { status })
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE     = 100
+const MAX_BATCH_SIZE    = 100
+
+const listQueryShape = {
+  limit:        optional(integer({ min: 1, max: MAX_PAGE_SIZE })),
+  cursor:       optional(fields.id),
+  liked:        optional(oneOf(['true', 'false'])),
+  from:         optional(date()),
+  to:           optional(date()),
+  eatery:       optional(string({ maxLength: 100 })),
+  cuisine_type: optional(oneOf(CUISINES)),
+  q:            optional(string({ maxLength: 100 })),
+}
+
+// score is 1–10; rating (1/-1/'up'/'down') is still accepted from older clients
+const scoreShape = {
+  score:  optional(fields.score),
+  rating: optional(oneOf([1, -1, 'up', 'down'])),
+}
+
+const batchShape = {
+  op:         oneOf(['delete', 'flip']),
+  rating_ids: arrayOf(fields.id, { maxItems: MAX_BATCH_SIZE, unique: true }),
+}
+
+export async function onRequest({ request, data }) {
+  const user = requireUser(data)
+  const { service } = data
 
   if (request.method === 'GET') {
-    const service = createServiceClient(env)
-    const { data, error: dbError } = await service
+    const url = new URL(request.url)
+    // Empty params (e.g. "?eatery=") mean "no filter"
+    const params = Object.fromEntries([...url.searchParams].filter(([, v]) => v !== ''))
+    const { value: filters, errors } = validate(params, listQueryShape)
+    if (errors.length > 0) throw validationError(errors)
+
+    const limit = filters.limit || DEFAULT_PAGE_SIZE
+    let query = service
+      .from('rating_history')
+      .select('id, dish_id, rating, strength, source, menu_date, source_name, cuisine_type, eateries')
+      .eq('user_id', user.id)
+      .order('id', { ascending: false })
+      .limit(limit + 1)
+
+    // Cursor is the id of the last row on the previous page (ids follow insertion order)
+    if (filters.cursor) query = query.lt('id', filters.cursor)
+
+    if (filters.liked === 'true')  query = query.eq('rating', 1)
+    if (filters.liked === 'false') query = query.eq('rating', -1)
+
+    if (filters.from) query = query.gte('menu_date', filters.from)
+    if (filters.to)   query = query.lte('menu_date', filters.to)
+
+    if (filters.eatery)       query = query.ilike('eateries', `%${escapeLike(filters.eatery)}%`)
+    if (filters.cuisine_type) query = query.eq('cuisine_type', filters.cuisine_type)
+    if (filters.q)            query = query.ilike('source_name', `%${escapeLike(filters.q)}%`)
+
+    const { data: rows, error: dbError } = await query
+
+    if (dbError) throw new HttpError(500, 'Failed to fetch ratings', { cause: dbError })
+
+    const page    = rows || []
+    const hasMore = page.length > limit
+    const items   = page.slice(0, limit).map(({ source_name, cuisine_type, ...r }) =>
+      withScore({ ...r, dishes: { source_name, cuisine_type } })
+    )
+    return Response.json({
+      items,
+      next_cursor: hasMore ? items[items.length - 1].id : null,
+    })
+  }
+
+  if (request.method === 'POST') {
+    const { value: body, errors } = validate(await readJson(request), { menu_id: fields.id, ...scoreShape })
+    if (errors.length > 0) throw validationError(errors)
+
+    const menuId = body.menu_id
+    const score  = parseScore(body.score, body.rating)
+    if (score === null) throw validationError([{ path: 'score', message: 'required' }])
+
+    const { rating: saved, error: rateError, status: rateStatus, cause } = await rateMenuEntry(service, {
+      userId: user.id,
+      menuId,
+      score,
+      source: 'web',
+    })
+    if (rateError) throw new HttpError(rateStatus, rateError, { cause })
+    return Response.json(saved)
+  }
+
+  if (request.method === 'PUT') {
+    const { value: body, errors } = validate(await readJson(request), { rating_id: fields.id, ...scoreShape })
+    if (errors.length > 0) throw validationError(errors)
+
+    const ratingId = body.rating_id
+    const score    = parseScore(body.score, body.rating)
+    if (score === null) throw validationError([{ path: 'score', message: 'required' }])
+
+    const { data: updated, error: updateError } = await service
+      .from('ratings')
+      .update({ ...scoreToRating(score), source: 'web' })
+      .eq('id', ratingId)
+      .eq('user_id', user.id)
+      .select('id, rating, strength, menu_date, dish_id, source')
+      .maybeSingle()
+
+    if (updateError) throw new HttpError(500, 'Failed to update rating', { cause: updateError })
+    if (!updated) throw new HttpError(404, 'Rating not found')
+
+    await markVectorStale(service, user.id)
+    return Response.json(withScore(updated))
+  }
+
+  // Batch operations: { op: 'delete' | 'flip', rating_ids: number[] }
+  if (request.method === 'PATCH') {
+    const { value: body, errors } = validate(await readJson(request), batchShape)
+    if (errors.length > 0) throw validationError(errors)
+
+    const ids = body.rating_ids
+    if (ids.length === 0) throw validationError([{ path: 'rating_ids', message: 'must not be empty' }])
+
+    // Only the caller's own ratings are touched; foreign ids are silently skipped
+    const { data: owned, error: fetchError } = await service
       .from('ratings')
-      .select('id, rating, menu_date, dishes(source_name)')
+      .select('id, rating')
       .eq('user_id', user.id)
-      .order('created_at', { ascending: false })
-      .limit(100)
+      .in('id', ids)
 
-    if (dbError) {
-      console.error('Ratings fetch error:', dbError)
-      return Response.json({ error: 'Failed to fetch ratings' }, { status: 500 })
+    if (fetchError) throw new HttpError(500, 'Failed to update ratings', { cause: fetchError })
+    if (!owned || owned.length === 0) throw new HttpError(404, 'Rating not found')
+
+    const ownedIds = owned.map(r => r.id)
+    let updated = []
+
+    if (body.op === 'delete') {
+      const { error: delError } = await service
+        .from('ratings')
+        .delete()
+        .eq('user_id', user.id)
+        .in('id', ownedIds)
+      if (delError) throw new HttpError(500, 'Failed to delete ratings', { cause: delError })
+    } else {
+      // Flip keeps strength, so each direction is a single UPDATE
+      const likedIds    = owned.filter(r => r.rating === 1).map(r => r.id)
+      const dislikedIds = owned.filter(r => r.rating === -1).map(r => r.id)
+      const results = await Promise.all([
+        likedIds.length    && service.from('ratings').update({ rating: -1, source: 'web' }).in('id', likedIds),
+        dislikedIds.length && service.from('ratings').update({ rating: 1, source: 'web' }).in('id', dislikedIds),
+      ])
+      const flipError = results.find(r => r && r.error)?.error
+      if (flipError) throw new HttpError(500, 'Failed to flip ratings', { cause: flipError })
+      const { data: flipped } = await service
+        .from('ratings')
+        .select('id, rating, strength, menu_date, dish_id, source')
+        .in('id', ownedIds)
+      updated = (flipped || []).map(withScore)
     }
-    return Response.json(data || [])
+
+    await markVectorStale(service, user.id)
+    return Response.json({ ok: true, rating_ids: ownedIds, updated })
   }
 
   if (request.method === 'DELETE') {
-    const url      = new URL(request.url)
-    const ratingId = parseInt(url.searchParams.get('rating_id') || '', 10)
+    const url = new URL(request.url)
+    const { value: params, errors } = validate(Object.fromEntries(url.searchParams), { rating_id: fields.id })
+    if (errors.length > 0) throw validationError(errors)
 
-    if (!ratingId || isNaN(ratingId)) {
-      return Response.json({ error: 'rating_id required' }, { status: 400 })
-    }
+    const ratingId = params.rating_id
 
     // Validate ownership before deleting
-    const service = createServiceClient(env)
     const { data: existing } = await service
       .from('ratings')
       .select('user_id')
       .eq('id', ratingId)
       .single()
 
-    if (!existing) {
-      return Response.json({ error: 'Rating not found' }, { status: 404 })
-    }
-    if (existing.user_id !== user.id) {
-      return Response.json({ error: 'Forbidden' }, { status: 403 })
-    }
+    if (!existing) throw new HttpError(404, 'Rating not found')
+    if (existing.user_id !== user.id) throw new HttpError(403, 'Forbidden')
 
     const { error: delError } = await service
       .from('ratings')
       .delete()
       .eq('id', ratingId)
 
-    if (delError) {
-      console.error('Rating delete error:', delError)
-      return Response.json({ error: 'Failed to delete rating' }, { status: 500 })
-    }
+    if (delError) throw new HttpError(500, 'Failed to delete rating', { cause: delError })
+
+    await markVectorStale(service, user.id)
     return Response.json({ ok: true })
   }
 
-  return Response.json({ error: 'Method not allowed' }, { status: 405 })
+  throw new HttpError(405, 'Method not allowed')
+}
+
+function withScore(row) {
+  return { ...row, score: ratingToScore(row.rating, row.strength) }
 }
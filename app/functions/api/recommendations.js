@@ -0,0 +1,16 @@
+import { requireUser } from '../_shared/supabase.js'
+import { recommendationsFor } from '../_shared/recommend.js'
+import { todayInCampusTz } from '../_shared/dates.js'
+import { date as dateField, optional, validate, validationError } from '../_shared/validation.js'
+
+export async function onRequestGet({ request, data }) {
+  const user = requireUser(data)
+
+  const url = new URL(request.url)
+  const { value: params, errors } = validate(Object.fromEntries(url.searchParams), { date: optional(dateField()) })
+  if (errors.length > 0) throw validationError(errors)
+
+  const date = params.date || todayInCampusTz()
+
+  return Response.json(await recommendationsFor(data.service, user.id, date))
+}
@@ -0,0 +1,32 @@
+import { verifyActionToken } from '../_shared/hmac.js'
+
+/**
+ * "Resubscribe" button on the unsubscribe result page (form POST with the
+ * signed token /api/unsubscribe issued).
+ */
+export async function onRequestPost({ request, env, data }) {
+  const form  = await request.formData().catch(() => null)
+  const email = (form?.get('email') || '').trim().toLowerCase()
+  const token = form?.get('token') || ''
+
+  if (!email || !token) {
+    return Response.redirect('/unsubscribe?status=error&msg=Invalid+link', 303)
+  }
+
+  const { valid, error: tokenError } = await verifyActionToken(env, { action: 'resubscribe', email, token })
+  if (!valid) {
+    return Response.redirect(`/unsubscribe?status=error&msg=${encodeURIComponent(tokenError)}`, 303)
+  }
+
+  const { error } = await data.service
+    .from('profiles')
+    .update({ subscribed: true, paused_until: null, updated_at: new Date().toISOString() })
+    .eq('email', email)
+
+  if (error) {
+    data.log.error('Resubscribe failed', { error })
+    return Response.redirect('/unsubscribe?status=error&msg=Server+error', 303)
+  }
+
+  return Response.redirect('/unsubscribe?status=resubscribed', 303)
+}
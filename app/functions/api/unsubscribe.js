@@ -1,6 +1,24 @@
-import { hmacVerify } from '../_shared/hmac.js'
-import { createServiceClient } from '../_shared/supabase.js'
+import { signActionToken, verifyActionToken } from '../_shared/hmac.js'
+import { HttpError } from '../_shared/http.js'
+import { UNSUBSCRIBE_REASONS } from '../_shared/vocabulary.js'
+import { oneOf, optional, string, validate } from '../_shared/validation.js'
 
+// Follow-up offers on the confirmation / result pages are short-lived
+const PAUSE_OFFER_TTL = 24 * 60 * 60
+const RESUBSCRIBE_TTL = 30 * 24 * 60 * 60
+
+const unsubscribeFormShape = {
+  email:   string({ maxLength: 320, lowercase: true, nonEmpty: true }),
+  token:   string({ maxLength: 200, nonEmpty: true }),
+  reason:  optional(oneOf(['', ...UNSUBSCRIBE_REASONS.map(r => r.value)])),
+  comment: optional(string({ maxLength: 500 })),
+}
+
+/**
+ * Email link target. Only verifies the link and forwards to the confirmation
+ * page: link scanners and mail-client previews issue GETs, so a GET must never
+ * unsubscribe anyone.
+ */
 export async function onRequestGet({ request, env }) {
   const url   = new URL(request.url)
   const email = (url.searchParams.get('email') || '').trim().toLowerCase()
@@ -10,21 +28,76 @@ export async function onRequestGet({ request, env }) {
     return Response.redirect('/unsubscribe?status=error&msg=Invalid+link', 302)
   }
 
-  const valid = await hmacVerify(env.HMAC_SECRET, email, token)
+  const { valid, error: tokenError } = await verifyActionToken(env, { action: 'unsubscribe', email, token })
   if (!valid) {
-    return Response.redirect('/unsubscribe?status=error&msg=Invalid+or+tampered+token', 302)
+    return Response.redirect(`/unsubscribe?status=error&msg=${encodeURIComponent(tokenError)}`, 302)
   }
 
-  const service = createServiceClient(env)
-  const { error } = await service
+  const pauseToken = await signActionToken(env.HMAC_SECRET, {
+    action: 'pause',
+    email,
+    ttlSeconds: PAUSE_OFFER_TTL,
+  })
+  const params = new URLSearchParams({ status: 'confirm', email, token, pause_token: pauseToken })
+  return Response.redirect(`/unsubscribe?${params}`, 302)
+}
+
+/**
+ * Performs the unsubscribe. Two callers:
+ *   - the confirmation page form (email, token, optional reason/comment) → 303 to the result page
+ *   - RFC 8058 one-click: the mail client POSTs `List-Unsubscribe=One-Click` to the
+ *     List-Unsubscribe URL (email/token in its query string) → 200
+ */
+export async function onRequestPost({ request, env, data }) {
+  const url  = new URL(request.url)
+  const form = await request.formData().catch(() => null)
+  const raw  = Object.fromEntries(url.searchParams)
+  form?.forEach((value, key) => { raw[key] = value })
+
+  const oneClick = raw['List-Unsubscribe'] === 'One-Click'
+  const fail = msg => {
+    if (oneClick) throw new HttpError(400, msg)
+    return Response.redirect(`/unsubscribe?status=error&msg=${encodeURIComponent(msg)}`, 303)
+  }
+
+  const { value: body, errors } = validate(raw, unsubscribeFormShape)
+  if (errors.length > 0) return fail('Invalid link')
+
+  const { email, token } = body
+  const { valid, error: tokenError } = await verifyActionToken(env, { action: 'unsubscribe', email, token })
+  if (!valid) return fail(tokenError)
+
+  const { service } = data
+  const { data: updated, error } = await service
     .from('profiles')
-    .update({ subscribed: false, updated_at: new Date().toISOString() })
+    // Clearing paused_until keeps an earlier pause from auto-resubscribing
+    .update({ subscribed: false, paused_until: null, updated_at: new Date().toISOString() })
     .eq('email', email)
+    .select('id')
 
   if (error) {
-    console.error('Unsubscribe error:', error)
-    return Response.redirect('/unsubscribe?status=error&msg=Server+error', 302)
+    if (oneClick) throw new HttpError(500, 'Server error', { cause: error })
+    data.log.error('Unsubscribe failed', { error })
+    return Response.redirect('/unsubscribe?status=error&msg=Server+error', 303)
   }
 
-  return Response.redirect('/unsubscribe?status=success', 302)
+  if (body.reason || body.comment) {
+    const { error: feedbackError } = await service.from('unsubscribe_feedback').insert({
+      user_id: updated?.[0]?.id ?? null,
+      reason:  body.reason || 'other',
+      comment: body.comment || null,
+    })
+    // Non-fatal: the unsubscribe itself already succeeded
+    if (feedbackError) data.log.error('Unsubscribe feedback insert failed', { error: feedbackError })
+  }
+
+  if (oneClick) return Response.json({ ok: true })
+
+  const resubscribeToken = await signActionToken(env.HMAC_SECRET, {
+    action: 'resubscribe',
+    email,
+    ttlSeconds: RESUBSCRIBE_TTL,
+  })
+  const params = new URLSearchParams({ status: 'success', email, resubscribe_token: resubscribeToken })
+  return Response.redirect(`/unsubscribe?${params}`, 303)
 }
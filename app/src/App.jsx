@@ -4,6 +4,8 @@ import Landing from './pages/Landing'
 import AuthCallback from './pages/AuthCallback'
 import Onboarding from './pages/Onboarding'
 import Dashboard from './pages/Dashboard'
+import Today from './pages/Today'
+import Menu from './pages/Menu'
 import Admin from './pages/Admin'
 import RateResult from './pages/RateResult'
 import UnsubResult from './pages/UnsubResult'
@@ -17,6 +19,8 @@ export default function App() {
           <Route path="/auth/callback" element={<AuthCallback />} />
           <Route path="/onboarding" element={<Onboarding />} />
           <Route path="/dashboard" element={<Dashboard />} />
+          <Route path="/today" element={<Today />} />
+          <Route path="/menu" element={<Menu />} />
           <Route path="/admin" element={<Admin />} />
           <Route path="/rate" element={<RateResult />} />
           <Route path="/unsubscribe" element={<UnsubResult />} />
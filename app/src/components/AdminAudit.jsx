@@ -0,0 +1,157 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { errorMessage } from '../lib/api'
+
+const EMPTY_FILTERS = { action: '', actor: '', target_type: '', from: '', to: '' }
+
+// Campus time, matching the from/to date filter; sv-SE formats as YYYY-MM-DD HH:MM:SS
+function campusTime(iso) {
+  return new Date(iso).toLocaleString('sv-SE', { timeZone: 'America/New_York' }).slice(0, 16)
+}
+
+/**
+ * Admin "Audit Log" tab: every privileged change with who made it and the
+ * before → after diff (GET /api/admin/audit). Admin only; the server enforces it.
+ */
+export default function AdminAudit() {
+  const [filters,  setFilters]  = useState(EMPTY_FILTERS)
+  const [entries,  setEntries]  = useState(null)
+  const [cursor,   setCursor]   = useState(null)
+  const [expanded, setExpanded] = useState(null)
+  const [busy,     setBusy]     = useState(false)
+  const [error,    setError]    = useState(null)
+
+  useEffect(() => { load() }, [])
+
+  async function load(after = null) {
+    setBusy(true)
+    setError(null)
+    const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v.trim() !== ''))
+    if (after) params.set('cursor', after)
+
+    const { data: { session } } = await supabase.auth.getSession()
+    const res = await fetch(`/api/admin/audit?${params}`, {
+      headers: { Authorization: `Bearer ${session?.access_token}` },
+    })
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) {
+      setEntries(prev => (after ? [...prev, ...body.entries] : body.entries))
+      setCursor(body.next_cursor)
+    } else {
+      setError(errorMessage(body, 'Failed to load audit log.'))
+    }
+    setBusy(false)
+  }
+
+  function applyFilters(e) {
+    e.preventDefault()
+    setExpanded(null)
+    load()
+  }
+
+  function setFilter(key, value) {
+    setFilters(prev => ({ ...prev, [key]: value }))
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+      <h2 className="text-sm font-semibold text-gray-700 mb-4">Audit Log</h2>
+
+      <form onSubmit={applyFilters} className="flex flex-wrap gap-2 mb-4 text-sm">
+        <input
+          placeholder="Action (e.g. role.)"
+          value={filters.action}
+          onChange={e => setFilter('action', e.target.value)}
+          className="w-36 border border-gray-300 rounded px-2 py-1.5"
+        />
+        <input
+          placeholder="Actor email"
+          value={filters.actor}
+          onChange={e => setFilter('actor', e.target.value)}
+          className="flex-1 min-w-[10rem] border border-gray-300 rounded px-2 py-1.5"
+        />
+        <input
+          placeholder="Target type"
+          value={filters.target_type}
+          onChange={e => setFilter('target_type', e.target.value)}
+          className="w-28 border border-gray-300 rounded px-2 py-1.5"
+        />
+        <input
+          type="date"
+          value={filters.from}
+          onChange={e => setFilter('from', e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1.5"
+        />
+        <input
+          type="date"
+          value={filters.to}
+          onChange={e => setFilter('to', e.target.value)}
+          className="border border-gray-300 rounded px-2 py-1.5"
+        />
+        <button
+          type="submit"
+          disabled={busy}
+          className="px-4 py-1.5 bg-cornell-red text-white font-semibold rounded hover:bg-red-800 transition-all disabled:opacity-50"
+        >
+          Filter
+        </button>
+      </form>
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {entries?.length > 0 ? (
+        <ul className="divide-y divide-gray-100">
+          {entries.map(entry => (
+            <li key={entry.id} className="py-2 text-xs text-gray-600">
+              <button
+                onClick={() => setExpanded(expanded === entry.id ? null : entry.id)}
+                className="w-full text-left"
+              >
+                <span className="text-gray-400 mr-2">{campusTime(entry.created_at)}</span>
+                {entry.actor_email}{' '}
+                <span className="font-mono text-gray-800">{entry.action}</span>{' '}
+                {entry.target_label || `${entry.target_type} ${entry.target_id}`}
+              </button>
+              {expanded === entry.id && <AuditDiff entry={entry} />}
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-400">{entries ? 'No matching entries.' : 'Loading…'}</p>
+      )}
+
+      {cursor && (
+        <button
+          onClick={() => load(cursor)}
+          disabled={busy}
+          className="mt-4 text-sm text-cornell-red hover:underline disabled:opacity-50"
+        >
+          Load more
+        </button>
+      )}
+    </div>
+  )
+}
+
+function AuditDiff({ entry }) {
+  const keys = [...new Set([...Object.keys(entry.before || {}), ...Object.keys(entry.after || {})])]
+  return (
+    <div className="mt-2 ml-4 space-y-1">
+      {keys.length > 0 ? keys.map(key => (
+        <div key={key} className="font-mono">
+          <span className="text-gray-500">{key}:</span>{' '}
+          <span className="text-red-700">{formatValue(entry.before?.[key])}</span>
+          {' → '}
+          <span className="text-green-700">{formatValue(entry.after?.[key])}</span>
+        </div>
+      )) : <p className="text-gray-400">No field changes recorded.</p>}
+      <p className="text-gray-400">
+        {entry.target_type} {entry.target_id}{entry.request_id && ` · request ${entry.request_id}`}
+      </p>
+    </div>
+  )
+}
+
+function formatValue(value) {
+  if (value === undefined || value === null) return '—'
+  return typeof value === 'object' ? JSON.stringify(value) : String(value)
+}
@@ -0,0 +1,375 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { errorMessage } from '../lib/api'
+import IngredientPicker from './IngredientPicker'
+import { DISH_CUISINES, DISH_DIETARY_ATTRS, DISH_TYPES, FLAVORS, METHODS } from '../../functions/_shared/vocabulary.js'
+
+const PAGE_SIZE = 25
+const EMPTY_FILTERS = { q: '', cuisine_type: '', dish_type: '', overridden: false, needs_reembed: false }
+
+// Editable LLM labels, in editor order (same fields as ATTRIBUTE_FIELDS in /api/admin/dishes)
+const CHIP_FIELDS = [
+  { field: 'dietary_attrs',   label: 'Dietary',         options: DISH_DIETARY_ATTRS },
+  { field: 'flavor_profiles', label: 'Flavors',         options: FLAVORS },
+  { field: 'cooking_methods', label: 'Cooking methods', options: METHODS },
+]
+
+async function request(path, init = {}) {
+  const { data: { session } } = await supabase.auth.getSession()
+  return fetch(path, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session?.access_token}` },
+  })
+}
+
+/**
+ * Admin "Dishes" tab: search the dish catalog and correct the LLM-extracted
+ * labels (GET/POST/PATCH/DELETE /api/admin/dishes). Corrected fields are kept
+ * by later pipeline runs. Analysts browse read-only (`canEdit` false).
+ */
+export default function AdminDishes({ canEdit }) {
+  const [filters,  setFilters]  = useState(EMPTY_FILTERS)
+  const [result,   setResult]   = useState(null)
+  const [page,     setPage]     = useState(1)
+  const [selected, setSelected] = useState(null)
+  const [newName,  setNewName]  = useState('')
+  const [error,    setError]    = useState(null)
+
+  useEffect(() => { load(page) }, [page])
+
+  async function load(p = page) {
+    setError(null)
+    const params = new URLSearchParams({ page: String(p), limit: String(PAGE_SIZE) })
+    for (const [key, value] of Object.entries(filters)) {
+      if (value === true) params.set(key, 'true')
+      else if (value) params.set(key, value.trim())
+    }
+    const res = await request(`/api/admin/dishes?${params}`)
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) setResult(body)
+    else setError(errorMessage(body, 'Failed to load dishes.'))
+  }
+
+  function search(e) {
+    e.preventDefault()
+    setSelected(null)
+    if (page === 1) load(1)
+    else setPage(1)
+  }
+
+  async function create(e) {
+    e.preventDefault()
+    setError(null)
+    const res = await request('/api/admin/dishes', {
+      method: 'POST',
+      body: JSON.stringify({ source_name: newName.trim() }),
+    })
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) {
+      setNewName('')
+      setSelected(body)
+      await load()
+    } else {
+      setError(errorMessage(body, 'Failed to add dish.'))
+    }
+  }
+
+  function onSaved(dish) {
+    setSelected(dish)
+    setResult(prev => prev && { ...prev, dishes: prev.dishes.map(d => (d.id === dish.id ? dish : d)) })
+  }
+
+  function onDeleted(id) {
+    setSelected(null)
+    setResult(prev => prev && { ...prev, dishes: prev.dishes.filter(d => d.id !== id), total: prev.total - 1 })
+  }
+
+  const pageCount = result ? Math.max(1, Math.ceil(result.total / PAGE_SIZE)) : 1
+
+  return (
+    <>
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">Dish Catalog</h2>
+
+        <form onSubmit={search} className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+          <input
+            placeholder="Search dishes"
+            value={filters.q}
+            onChange={e => setFilters({ ...filters, q: e.target.value })}
+            className="flex-1 min-w-[10rem] border border-gray-300 rounded px-2 py-1.5"
+          />
+          <select
+            value={filters.cuisine_type}
+            onChange={e => setFilters({ ...filters, cuisine_type: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1.5"
+          >
+            <option value="">All cuisines</option>
+            {DISH_CUISINES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+          <select
+            value={filters.dish_type}
+            onChange={e => setFilters({ ...filters, dish_type: e.target.value })}
+            className="border border-gray-300 rounded px-2 py-1.5"
+          >
+            <option value="">All types</option>
+            {DISH_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+          </select>
+          <label className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={filters.overridden}
+              onChange={e => setFilters({ ...filters, overridden: e.target.checked })}
+            />
+            Corrected
+          </label>
+          <label className="flex items-center gap-1 text-gray-600">
+            <input
+              type="checkbox"
+              checked={filters.needs_reembed}
+              onChange={e => setFilters({ ...filters, needs_reembed: e.target.checked })}
+            />
+            Re-embed queued
+          </label>
+          <button
+            type="submit"
+            className="px-4 py-1.5 bg-cornell-red text-white font-semibold rounded hover:bg-red-800 transition-all"
+          >
+            Search
+          </button>
+        </form>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {result?.dishes?.length > 0 ? (
+          <ul className="divide-y divide-gray-100">
+            {result.dishes.map(dish => (
+              <li key={dish.id}>
+                <button
+                  onClick={() => setSelected(dish)}
+                  className={`w-full flex justify-between items-center py-2 text-left text-sm ${
+                    selected?.id === dish.id ? 'text-cornell-red' : 'text-gray-700 hover:text-gray-900'
+                  }`}
+                >
+                  <span>{dish.source_name || dish.normalized_name}</span>
+                  <span className="flex gap-2 text-xs text-gray-400">
+                    <span>{dish.cuisine_type} · {dish.dish_type}</span>
+                    {dish.manual_overrides.length > 0 && <span className="text-amber-600">corrected</span>}
+                    {dish.needs_reembed && <span className="text-blue-600">re-embed</span>}
+                  </span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-400">{result ? 'No matching dishes.' : 'Loading…'}</p>
+        )}
+
+        {result && result.total > PAGE_SIZE && (
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-500">
+            <button
+              onClick={() => setPage(page - 1)}
+              disabled={page <= 1}
+              className="hover:text-gray-700 disabled:opacity-40"
+            >
+              ← Previous
+            </button>
+            <span>Page {page} of {pageCount} · {result.total} dishes</span>
+            <button
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pageCount}
+              className="hover:text-gray-700 disabled:opacity-40"
+            >
+              Next →
+            </button>
+          </div>
+        )}
+
+        {canEdit && (
+          <form onSubmit={create} className="flex gap-2 mt-4 pt-4 border-t border-gray-100 text-sm">
+            <input
+              required
+              placeholder="New dish name"
+              value={newName}
+              onChange={e => setNewName(e.target.value)}
+              className="flex-1 border border-gray-300 rounded px-2 py-1.5"
+            />
+            <button
+              type="submit"
+              className="px-4 py-1.5 border border-gray-300 text-gray-600 rounded hover:bg-gray-50 transition-all"
+            >
+              Add dish
+            </button>
+          </form>
+        )}
+      </div>
+
+      {selected && (
+        <DishEditor
+          key={selected.id}
+          dish={selected}
+          canEdit={canEdit}
+          onSaved={onSaved}
+          onDeleted={onDeleted}
+        />
+      )}
+    </>
+  )
+}
+
+function DishEditor({ dish, canEdit, onSaved, onDeleted }) {
+  const [draft, setDraft] = useState(dish)
+  const [busy,  setBusy]  = useState(false)
+  const [error, setError] = useState(null)
+
+  const changed = ['ingredients', 'cuisine_type', 'dish_type', ...CHIP_FIELDS.map(c => c.field)]
+    .filter(f => JSON.stringify(draft[f]) !== JSON.stringify(dish[f]))
+
+  function set(field, value) {
+    setDraft(prev => ({ ...prev, [field]: value }))
+  }
+
+  function toggle(field, option) {
+    const values = draft[field]
+    set(field, values.includes(option) ? values.filter(v => v !== option) : [...values, option])
+  }
+
+  async function save(body) {
+    setBusy(true)
+    setError(null)
+    const res = await request(`/api/admin/dishes?id=${dish.id}`, { method: 'PATCH', body: JSON.stringify(body) })
+    const saved = await res.json().catch(() => ({}))
+    if (res.ok) onSaved(saved)
+    else setError(errorMessage(saved, 'Failed to save dish.'))
+    setBusy(false)
+  }
+
+  async function remove() {
+    if (!window.confirm(`Delete "${dish.source_name}"?`)) return
+    setError(null)
+    const res = await request(`/api/admin/dishes?id=${dish.id}`, { method: 'DELETE' })
+    if (res.ok) onDeleted(dish.id)
+    else setError(errorMessage(await res.json().catch(() => ({})), 'Failed to delete dish.'))
+  }
+
+  function fieldLabel(field, text) {
+    return (
+      <p className="flex items-center gap-2 text-xs font-medium text-gray-500 mb-1.5">
+        {text}
+        {dish.manual_overrides.includes(field) && (
+          <>
+            <span className="text-amber-600">corrected</span>
+            {canEdit && (
+              <button
+                type="button"
+                onClick={() => save({ release: [field] })}
+                disabled={busy || changed.includes(field)}
+                className="text-gray-400 hover:text-cornell-red disabled:opacity-40"
+              >
+                reset to pipeline
+              </button>
+            )}
+          </>
+        )}
+      </p>
+    )
+  }
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-sm font-semibold text-gray-700">{dish.source_name || dish.normalized_name}</h2>
+          <p className="text-xs text-gray-400">
+            #{dish.id} · {dish.normalized_name}{dish.is_onboarding_dish && ' · onboarding dish'}
+          </p>
+        </div>
+        {dish.needs_reembed && (
+          <span className="text-xs text-blue-600">Re-embedding on the next pipeline run</span>
+        )}
+      </div>
+
+      <fieldset disabled={!canEdit || busy} className="space-y-4">
+        <div className="flex gap-4">
+          <div className="text-sm">
+            {fieldLabel('cuisine_type', 'Cuisine')}
+            <select
+              value={draft.cuisine_type}
+              onChange={e => set('cuisine_type', e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1.5"
+            >
+              {DISH_CUISINES.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </div>
+          <div className="text-sm">
+            {fieldLabel('dish_type', 'Dish type')}
+            <select
+              value={draft.dish_type}
+              onChange={e => set('dish_type', e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1.5"
+            >
+              {DISH_TYPES.map(t => <option key={t} value={t}>{t}</option>)}
+            </select>
+          </div>
+        </div>
+
+        {CHIP_FIELDS.map(({ field, label, options }) => (
+          <div key={field}>
+            {fieldLabel(field, label)}
+            <div className="flex flex-wrap gap-1.5">
+              {options.map(option => (
+                <button
+                  key={option}
+                  type="button"
+                  onClick={() => toggle(field, option)}
+                  className={`px-3 py-1 text-xs rounded-full border transition-all ${
+                    draft[field].includes(option)
+                      ? 'bg-cornell-red text-white border-cornell-red'
+                      : 'bg-white text-gray-600 border-gray-300 hover:border-gray-400'
+                  }`}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div>
+          {fieldLabel('ingredients', 'Ingredients')}
+          {canEdit ? (
+            <IngredientPicker value={draft.ingredients} onChange={next => set('ingredients', next)} />
+          ) : (
+            <p className="text-sm text-gray-600">{draft.ingredients.join(', ') || '—'}</p>
+          )}
+        </div>
+      </fieldset>
+
+      {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+      {canEdit && (
+        <div className="flex flex-wrap items-center gap-3 mt-5 pt-4 border-t border-gray-100">
+          <button
+            onClick={() => save(Object.fromEntries(changed.map(f => [f, draft[f]])))}
+            disabled={busy || changed.length === 0}
+            className="px-4 py-1.5 bg-cornell-red text-white text-sm font-semibold rounded hover:bg-red-800 transition-all disabled:opacity-50"
+          >
+            Save corrections
+          </button>
+          <button
+            onClick={() => save({ needs_reembed: !dish.needs_reembed })}
+            disabled={busy}
+            className="text-sm text-gray-500 hover:text-gray-700 disabled:opacity-50"
+          >
+            {dish.needs_reembed ? 'Cancel re-embedding' : 'Flag for re-embedding'}
+          </button>
+          <button
+            onClick={remove}
+            disabled={busy}
+            className="ml-auto text-sm text-gray-400 hover:text-cornell-red disabled:opacity-50"
+          >
+            Delete
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { errorMessage } from '../lib/api'
+import DishSliders from './DishSliders'
+
+async function request(path, init = {}) {
+  const { data: { session } } = await supabase.auth.getSession()
+  return fetch(path, {
+    ...init,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session?.access_token}` },
+  })
+}
+
+function countBy(dishes, key) {
+  const counts = {}
+  for (const d of dishes) counts[d[key]] = (counts[d[key]] || 0) + 1
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])
+}
+
+/**
+ * Admin "Onboarding" tab: the dishes new users rate on the onboarding page,
+ * with cuisine / dish-type balance and a live DishSliders preview
+ * (GET/PUT /api/admin/onboarding-dishes). Admins add, remove and reorder;
+ * analysts see it read-only (`canEdit` false).
+ */
+export default function AdminOnboarding({ canEdit }) {
+  const [saved,    setSaved]    = useState(null)
+  const [draft,    setDraft]    = useState([])
+  const [minSize,  setMinSize]  = useState(null)
+  const [maxSize,  setMaxSize]  = useState(null)
+  const [query,    setQuery]    = useState('')
+  const [results,  setResults]  = useState([])
+  const [preview,  setPreview]  = useState({})
+  const [busy,     setBusy]     = useState(false)
+  const [error,    setError]    = useState(null)
+
+  useEffect(() => { load() }, [])
+
+  function applySet(body) {
+    setSaved(body.dishes)
+    setDraft(body.dishes)
+    setMinSize(body.min_size)
+    setMaxSize(body.max_size)
+  }
+
+  async function load() {
+    const res = await request('/api/admin/onboarding-dishes')
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) applySet(body)
+    else setError(errorMessage(body, 'Failed to load onboarding dishes.'))
+  }
+
+  async function search(e) {
+    e.preventDefault()
+    setError(null)
+    const params = new URLSearchParams({ q: query.trim(), limit: '10' })
+    const res = await request(`/api/admin/dishes?${params}`)
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) setResults(body.dishes)
+    else setError(errorMessage(body, 'Search failed.'))
+  }
+
+  function add(dish) {
+    setDraft(prev => [...prev, dish])
+  }
+
+  function remove(id) {
+    setDraft(prev => prev.filter(d => d.id !== id))
+  }
+
+  function move(index, delta) {
+    setDraft(prev => {
+      const next = [...prev]
+      const [dish] = next.splice(index, 1)
+      next.splice(index + delta, 0, dish)
+      return next
+    })
+  }
+
+  async function save() {
+    setBusy(true)
+    setError(null)
+    const res = await request('/api/admin/onboarding-dishes', {
+      method: 'PUT',
+      body: JSON.stringify({ dish_ids: draft.map(d => d.id) }),
+    })
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) applySet(body)
+    else setError(errorMessage(body, 'Failed to save onboarding dishes.'))
+    setBusy(false)
+  }
+
+  if (!saved) {
+    return <p className="text-sm text-gray-400">{error || 'Loading…'}</p>
+  }
+
+  const dirty  = draft.map(d => d.id).join() !== saved.map(d => d.id).join()
+  const inSet  = new Set(draft.map(d => d.id))
+  const atMax  = draft.length >= maxSize
+  const tooFew = draft.length < minSize
+
+  return (
+    <>
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <div className="flex justify-between items-baseline mb-4">
+          <h2 className="text-sm font-semibold text-gray-700">Onboarding Dishes</h2>
+          <span className={`text-xs ${atMax || tooFew ? 'text-cornell-red' : 'text-gray-400'}`}>
+            {tooFew && `at least ${minSize} · `}{draft.length} / {maxSize}
+          </span>
+        </div>
+
+        {draft.length > 0 ? (
+          <ol className="divide-y divide-gray-100 mb-4">
+            {draft.map((dish, i) => (
+              <li key={dish.id} className="flex justify-between items-center py-2 text-sm">
+                <span className="text-gray-700">
+                  <span className="text-gray-400 mr-2">{i + 1}.</span>
+                  {dish.source_name || 'Unknown dish'}
+                  <span className="ml-2 text-xs text-gray-400">{dish.cuisine_type} · {dish.dish_type}</span>
+                </span>
+                {canEdit && (
+                  <span className="flex items-center gap-2 text-xs text-gray-400">
+                    <button onClick={() => move(i, -1)} disabled={i === 0} className="hover:text-gray-700 disabled:opacity-30">↑</button>
+                    <button onClick={() => move(i, 1)} disabled={i === draft.length - 1} className="hover:text-gray-700 disabled:opacity-30">↓</button>
+                    <button onClick={() => remove(dish.id)} className="hover:text-cornell-red">Remove</button>
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        ) : (
+          <p className="text-sm text-gray-400 mb-4">No onboarding dishes — new users only pick cuisines and flavors.</p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-xs text-gray-500">
+          {[['Cuisine', 'cuisine_type'], ['Dish type', 'dish_type']].map(([label, key]) => (
+            <div key={key}>
+              <p className="font-medium text-gray-600 mb-1">{label} balance</p>
+              <div className="flex flex-wrap gap-x-3 gap-y-1">
+                {countBy(draft, key).map(([value, count]) => (
+                  <span key={value}>
+                    {value}: <span className="font-semibold text-gray-700">{count}</span>
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        {canEdit && (
+          <>
+            <form onSubmit={search} className="flex gap-2 mt-5 pt-4 border-t border-gray-100 text-sm">
+              <input
+                placeholder="Find a dish to add"
+                value={query}
+                onChange={e => setQuery(e.target.value)}
+                className="flex-1 border border-gray-300 rounded px-2 py-1.5"
+              />
+              <button
+                type="submit"
+                className="px-4 py-1.5 border border-gray-300 text-gray-600 rounded hover:bg-gray-50 transition-all"
+              >
+                Search
+              </button>
+            </form>
+            {results.length > 0 && (
+              <ul className="mt-2 divide-y divide-gray-100">
+                {results.map(dish => (
+                  <li key={dish.id} className="flex justify-between items-center py-1.5 text-sm">
+                    <span className="text-gray-700">
+                      {dish.source_name || dish.normalized_name}
+                      <span className="ml-2 text-xs text-gray-400">{dish.cuisine_type} · {dish.dish_type}</span>
+                    </span>
+                    <button
+                      onClick={() => add(dish)}
+                      disabled={inSet.has(dish.id) || atMax}
+                      className="text-xs text-cornell-red hover:underline disabled:text-gray-300 disabled:no-underline"
+                    >
+                      {inSet.has(dish.id) ? 'Added' : 'Add'}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {error && <p className="text-sm text-red-600 mt-3">{error}</p>}
+
+            <div className="flex items-center gap-3 mt-5">
+              <button
+                onClick={save}
+                disabled={busy || !dirty || tooFew}
+                className="px-4 py-1.5 bg-cornell-red text-white text-sm font-semibold rounded hover:bg-red-800 transition-all disabled:opacity-50"
+              >
+                Save set
+              </button>
+              {dirty && (
+                <button onClick={() => setDraft(saved)} className="text-sm text-gray-500 hover:text-gray-700">
+                  Discard changes
+                </button>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-1">Preview</h2>
+        <p className="text-xs text-gray-400 mb-3">What new users see on the onboarding page{dirty && ' once saved'}.</p>
+        <DishSliders
+          dishes={draft}
+          ratings={preview}
+          onChange={(dishId, score) => setPreview(prev => ({ ...prev, [dishId]: score }))}
+        />
+      </div>
+    </>
+  )
+}
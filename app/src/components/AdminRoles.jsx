@@ -0,0 +1,135 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { errorMessage } from '../lib/api'
+
+const ROLE_LABEL = { analyst: 'Analyst (read-only)', admin: 'Admin' }
+
+/**
+ * Admin "Roles" tab: current staff, grant/revoke, and recent role changes from
+ * the audit log (GET/POST/DELETE /api/admin/roles). Admin only; the server enforces it.
+ */
+export default function AdminRoles() {
+  const [data,  setData]  = useState(null)
+  const [email, setEmail] = useState('')
+  const [role,  setRole]  = useState('analyst')
+  const [busy,  setBusy]  = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => { load() }, [])
+
+  async function request(path, init = {}) {
+    const { data: { session } } = await supabase.auth.getSession()
+    return fetch(path, {
+      ...init,
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session?.access_token}` },
+    })
+  }
+
+  async function load() {
+    const res = await request('/api/admin/roles')
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) setData(body)
+    else setError(errorMessage(body, 'Failed to load roles.'))
+  }
+
+  async function grant(e) {
+    e.preventDefault()
+    setBusy(true)
+    setError(null)
+    const res = await request('/api/admin/roles', {
+      method: 'POST',
+      body: JSON.stringify({ email: email.trim(), role }),
+    })
+    if (res.ok) {
+      setEmail('')
+      await load()
+    } else {
+      setError(errorMessage(await res.json().catch(() => ({})), 'Failed to grant role.'))
+    }
+    setBusy(false)
+  }
+
+  async function revoke(member) {
+    if (!window.confirm(`Revoke ${member.role} access for ${member.email}?`)) return
+    setError(null)
+    const res = await request(`/api/admin/roles?user_id=${member.user_id}`, { method: 'DELETE' })
+    if (res.ok) await load()
+    else setError(errorMessage(await res.json().catch(() => ({})), 'Failed to revoke role.'))
+  }
+
+  return (
+    <>
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">Staff</h2>
+
+        <form onSubmit={grant} className="flex flex-wrap gap-2 mb-4">
+          <input
+            type="email"
+            required
+            placeholder="student@cornell.edu"
+            value={email}
+            onChange={e => setEmail(e.target.value)}
+            className="flex-1 min-w-[12rem] border border-gray-300 rounded px-2 py-1.5 text-sm"
+          />
+          <select
+            value={role}
+            onChange={e => setRole(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1.5 text-sm"
+          >
+            {Object.entries(ROLE_LABEL).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <button
+            type="submit"
+            disabled={busy}
+            className="px-4 py-1.5 bg-cornell-red text-white text-sm font-semibold rounded hover:bg-red-800 transition-all disabled:opacity-50"
+          >
+            Grant
+          </button>
+        </form>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {data?.staff?.length > 0 ? (
+          <ul className="divide-y divide-gray-100">
+            {data.staff.map(member => (
+              <li key={member.user_id} className="flex justify-between items-center py-2 text-sm">
+                <span className="text-gray-700">{member.email}</span>
+                <span className="flex items-center gap-3">
+                  <span className="text-gray-500">{ROLE_LABEL[member.role]}</span>
+                  <button
+                    onClick={() => revoke(member)}
+                    className="text-xs text-gray-400 hover:text-cornell-red transition-colors"
+                  >
+                    Revoke
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-400">{data ? 'No staff yet.' : 'Loading…'}</p>
+        )}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-3">Role Changes</h2>
+        {data?.changes?.length > 0 ? (
+          <ul className="space-y-1.5">
+            {data.changes.map(c => (
+              <li key={c.id} className="text-xs text-gray-600">
+                <span className="text-gray-400 mr-2">{c.created_at.replace('T', ' ').slice(0, 16)}</span>
+                {c.actor_email}{' '}
+                {c.action === 'role.grant'
+                  ? <>granted <strong>{c.after?.role}</strong> to {c.target_label}{c.before?.role && ` (was ${c.before.role})`}</>
+                  : <>revoked <strong>{c.before?.role}</strong> from {c.target_label}</>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-400">No role changes yet.</p>
+        )}
+      </div>
+    </>
+  )
+}
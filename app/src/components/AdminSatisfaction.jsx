@@ -0,0 +1,223 @@
+import { useEffect, useState } from 'react'
+import {
+  Bar,
+  BarChart,
+  CartesianGrid,
+  Legend,
+  Line,
+  LineChart,
+  ResponsiveContainer,
+  Tooltip,
+  XAxis,
+  YAxis,
+} from 'recharts'
+import DateRangePicker from './DateRangePicker'
+import { supabase } from '../lib/supabase'
+import { errorMessage } from '../lib/api'
+import { MEAL_BUCKETS } from '../../functions/_shared/vocabulary.js'
+
+const DIMENSIONS = [
+  { value: 'eatery',       label: 'Eatery' },
+  { value: 'bucket',       label: 'Meal' },
+  { value: 'cuisine_type', label: 'Cuisine' },
+  { value: 'dish_type',    label: 'Dish type' },
+]
+const BUCKET_LABEL = Object.fromEntries(MEAL_BUCKETS.map(b => [b.value, b.label]))
+
+const SORTS = {
+  like_ratio: { label: 'Like ratio', compare: (a, b) => b.like_ratio - a.like_ratio },
+  total:      { label: 'Ratings',    compare: (a, b) => b.total - a.total },
+  key:        { label: 'Name',       compare: (a, b) => a.key.localeCompare(b.key) },
+}
+
+// Groups with fewer ratings are hidden by default: one dislike shouldn't rank a hall last
+const MIN_RATINGS_OPTIONS = [1, 5, 20, 50]
+const TREND_LINES = 5
+const LINE_COLORS = ['#B31B1B', '#2563eb', '#16a34a', '#d97706', '#7c3aed']
+
+async function request(path) {
+  const { data: { session } } = await supabase.auth.getSession()
+  return fetch(path, { headers: { Authorization: `Bearer ${session?.access_token}` } })
+}
+
+function percent(ratio) {
+  return ratio === null ? '—' : `${Math.round(ratio * 100)}%`
+}
+
+/**
+ * Admin "Satisfaction" tab: like ratio by eatery, meal, cuisine or dish type
+ * for a date range, as a sortable bar chart, table and trend
+ * (GET /api/admin/satisfaction). Answers "which hall's dinners do students
+ * actually enjoy?" — pick Eatery + Dinner.
+ */
+export default function AdminSatisfaction() {
+  const [range,      setRange]      = useState({ from: '', to: '' })
+  const [groupBy,    setGroupBy]    = useState('eatery')
+  const [bucket,     setBucket]     = useState('')
+  const [sort,       setSort]       = useState('like_ratio')
+  const [minRatings, setMinRatings] = useState(5)
+  const [result,     setResult]     = useState(null)
+  const [error,      setError]      = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    async function load() {
+      setError(null)
+      const params = new URLSearchParams(
+        Object.entries({ ...range, group_by: groupBy, bucket }).filter(([, v]) => v)
+      )
+      const res = await request(`/api/admin/satisfaction?${params}`)
+      const body = await res.json().catch(() => ({}))
+      if (cancelled) return
+      if (res.ok) setResult(body)
+      else setError(errorMessage(body, 'Failed to load satisfaction stats.'))
+    }
+    load()
+    return () => { cancelled = true }
+  }, [range, groupBy, bucket])
+
+  const label  = key => (result?.group_by === 'bucket' ? BUCKET_LABEL[key] || key : key)
+  const groups = (result?.groups || [])
+    .filter(g => g.total >= minRatings)
+    .sort(SORTS[sort].compare)
+
+  // Trend of the first TREND_LINES groups in the current sort order that have
+  // a series (the server only sends one for the busiest groups)
+  const trendGroups = groups.filter(g => g.series).slice(0, TREND_LINES)
+  const periods     = [...new Set(trendGroups.flatMap(g => g.series.map(s => s.period)))].sort()
+  const trendData   = periods.map(period => {
+    const point = { period }
+    for (const g of trendGroups) {
+      const s = g.series.find(s => s.period === period)
+      point[g.key] = s?.like_ratio == null ? null : Math.round(s.like_ratio * 100)
+    }
+    return point
+  })
+
+  return (
+    <>
+      {result && (
+        <DateRangePicker from={result.from} to={result.to} onChange={setRange} />
+      )}
+
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <div className="flex flex-wrap items-center gap-3 mb-4 text-sm">
+          <div className="flex rounded border border-gray-300 overflow-hidden">
+            {DIMENSIONS.map(d => (
+              <button
+                key={d.value}
+                onClick={() => setGroupBy(d.value)}
+                className={`px-3 py-1 ${
+                  groupBy === d.value ? 'bg-cornell-red text-white' : 'text-gray-600 hover:bg-gray-50'
+                }`}
+              >
+                {d.label}
+              </button>
+            ))}
+          </div>
+          <select
+            value={bucket}
+            onChange={e => setBucket(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1"
+          >
+            <option value="">All meals</option>
+            {MEAL_BUCKETS.map(b => <option key={b.value} value={b.value}>{b.label}</option>)}
+          </select>
+          <label className="flex items-center gap-1 text-gray-500">
+            Sort by
+            <select
+              value={sort}
+              onChange={e => setSort(e.target.value)}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              {Object.entries(SORTS).map(([value, s]) => <option key={value} value={value}>{s.label}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-1 text-gray-500">
+            Min. ratings
+            <select
+              value={minRatings}
+              onChange={e => setMinRatings(Number(e.target.value))}
+              className="border border-gray-300 rounded px-2 py-1"
+            >
+              {MIN_RATINGS_OPTIONS.map(n => <option key={n} value={n}>{n}</option>)}
+            </select>
+          </label>
+        </div>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">Like Ratio</h2>
+        {groups.length > 0 ? (
+          <ResponsiveContainer width="100%" height={Math.max(160, groups.length * 28)}>
+            <BarChart data={groups.map(g => ({ ...g, name: label(g.key), pct: Math.round(g.like_ratio * 100) }))} layout="vertical">
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" horizontal={false} />
+              <XAxis type="number" domain={[0, 100]} unit="%" tick={{ fontSize: 11 }} tickLine={false} />
+              <YAxis type="category" dataKey="name" width={150} tick={{ fontSize: 11 }} tickLine={false} axisLine={false} />
+              <Tooltip formatter={(value, _name, item) => [`${value}% of ${item.payload.total} ratings`, 'Liked']} />
+              <Bar dataKey="pct" fill="#B31B1B" radius={[0, 3, 3, 0]} />
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <p className="text-sm text-gray-400">{result ? 'No ratings in this period.' : 'Loading…'}</p>
+        )}
+
+        {groups.length > 0 && (
+          <table className="w-full mt-4 text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-400">
+                {[['key', DIMENSIONS.find(d => d.value === result.group_by).label], ['like_ratio', 'Liked'], ['total', 'Ratings']].map(([key, title]) => (
+                  <th key={key} className={`font-medium pb-2 ${key !== 'key' ? 'text-right' : ''}`}>
+                    <button onClick={() => setSort(key)} className={sort === key ? 'text-cornell-red' : 'hover:text-gray-600'}>
+                      {title}{sort === key && ' ↓'}
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {groups.map(g => (
+                <tr key={g.key} className="text-gray-700">
+                  <td className="py-1.5">{label(g.key)}</td>
+                  <td className="py-1.5 text-right">{percent(g.like_ratio)}</td>
+                  <td className="py-1.5 text-right text-gray-500">
+                    {g.total} <span className="text-xs text-gray-400">({g.liked} 👍 / {g.disliked} 👎)</span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {trendData.length > 1 && (
+        <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+          <h2 className="text-sm font-semibold text-gray-700 mb-4">
+            Like Ratio by {result.interval === 'day' ? 'Day' : 'Week'} — top {trendGroups.length} by {SORTS[sort].label.toLowerCase()}
+            {groups.some(g => !g.series) && ' among the busiest groups'}
+          </h2>
+          <ResponsiveContainer width="100%" height={220}>
+            <LineChart data={trendData}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis dataKey="period" tick={{ fontSize: 11 }} tickLine={false} tickFormatter={d => d.slice(5)} />
+              <YAxis domain={[0, 100]} unit="%" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} />
+              <Tooltip formatter={value => `${value}%`} />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              {trendGroups.map((g, i) => (
+                <Line
+                  key={g.key}
+                  type="monotone"
+                  dataKey={g.key}
+                  name={label(g.key)}
+                  stroke={LINE_COLORS[i]}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                />
+              ))}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </>
+  )
+}
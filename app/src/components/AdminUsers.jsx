@@ -0,0 +1,282 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+import { errorMessage } from '../lib/api'
+
+const PAGE_SIZE = 25
+const BUCKET_ORDER = ['breakfast_brunch', 'lunch', 'dinner']
+const BUCKET_LABEL = { breakfast_brunch: 'Breakfast / Brunch', lunch: 'Lunch', dinner: 'Dinner' }
+const WEIGHT_MAPS = [
+  ['cuisine_weights', 'Cuisines'],
+  ['flavor_weights',  'Flavors'],
+  ['method_weights',  'Cooking methods'],
+]
+
+async function request(path) {
+  const { data: { session } } = await supabase.auth.getSession()
+  return fetch(path, { headers: { Authorization: `Bearer ${session?.access_token}` } })
+}
+
+function localDateStr() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+}
+
+/**
+ * Admin "Users" tab: find a student by email and inspect their taste profile,
+ * recent ratings and what they'd be recommended on a given day
+ * (GET /api/admin/users). Read-only; nothing here signs in as the user.
+ */
+export default function AdminUsers() {
+  const [query,      setQuery]      = useState('')
+  const [result,     setResult]     = useState(null)
+  const [page,       setPage]       = useState(1)
+  const [selectedId, setSelectedId] = useState(null)
+  const [error,      setError]      = useState(null)
+
+  useEffect(() => { load(page) }, [page])
+
+  async function load(p) {
+    setError(null)
+    const params = new URLSearchParams({ q: query.trim(), page: String(p), limit: String(PAGE_SIZE) })
+    const res = await request(`/api/admin/users?${params}`)
+    const body = await res.json().catch(() => ({}))
+    if (res.ok) setResult(body)
+    else setError(errorMessage(body, 'Failed to load users.'))
+  }
+
+  function search(e) {
+    e.preventDefault()
+    setSelectedId(null)
+    if (page === 1) load(1)
+    else setPage(1)
+  }
+
+  const pageCount = result ? Math.max(1, Math.ceil(result.total / PAGE_SIZE)) : 1
+
+  return (
+    <>
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">Users</h2>
+
+        <form onSubmit={search} className="flex gap-2 mb-4 text-sm">
+          <input
+            placeholder="Search by email"
+            value={query}
+            onChange={e => setQuery(e.target.value)}
+            className="flex-1 border border-gray-300 rounded px-2 py-1.5"
+          />
+          <button
+            type="submit"
+            className="px-4 py-1.5 bg-cornell-red text-white font-semibold rounded hover:bg-red-800 transition-all"
+          >
+            Search
+          </button>
+        </form>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {result?.users?.length > 0 ? (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-400">
+                <th className="font-medium pb-2">Email</th>
+                <th className="font-medium pb-2">Subscribed</th>
+                <th className="font-medium pb-2">Joined</th>
+                <th className="font-medium pb-2 text-right">Ratings</th>
+                <th className="font-medium pb-2 text-right">Vector</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {result.users.map(u => (
+                <tr
+                  key={u.id}
+                  onClick={() => setSelectedId(u.id)}
+                  className={`cursor-pointer ${selectedId === u.id ? 'text-cornell-red' : 'text-gray-700 hover:bg-gray-50'}`}
+                >
+                  <td className="py-2">{u.email}</td>
+                  <td className="py-2">{u.subscribed ? 'Yes' : 'No'}</td>
+                  <td className="py-2 text-gray-500">{u.created_at.split('T')[0]}</td>
+                  <td className="py-2 text-right">{u.rating_count}</td>
+                  <td className="py-2 text-right text-xs text-gray-500">
+                    {u.vector_stale === null ? 'no prefs' : u.vector_stale ? 'stale' : 'fresh'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <p className="text-sm text-gray-400">{result ? 'No matching users.' : 'Loading…'}</p>
+        )}
+
+        {result && result.total > PAGE_SIZE && (
+          <div className="flex justify-between items-center mt-4 text-sm text-gray-500">
+            <button onClick={() => setPage(page - 1)} disabled={page <= 1} className="hover:text-gray-700 disabled:opacity-40">
+              ← Previous
+            </button>
+            <span>Page {page} of {pageCount} · {result.total} users</span>
+            <button onClick={() => setPage(page + 1)} disabled={page >= pageCount} className="hover:text-gray-700 disabled:opacity-40">
+              Next →
+            </button>
+          </div>
+        )}
+      </div>
+
+      {selectedId && <UserDetail key={selectedId} userId={selectedId} />}
+    </>
+  )
+}
+
+function UserDetail({ userId }) {
+  const [date,   setDate]   = useState(localDateStr())
+  const [detail, setDetail] = useState(null)
+  const [error,  setError]  = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    async function load() {
+      setError(null)
+      const params = new URLSearchParams({ id: userId, date })
+      const res = await request(`/api/admin/users?${params}`)
+      const body = await res.json().catch(() => ({}))
+      if (cancelled) return
+      if (res.ok) setDetail(body)
+      else setError(errorMessage(body, 'Failed to load user.'))
+    }
+    load()
+    return () => { cancelled = true }
+  }, [userId, date])
+
+  if (!detail) {
+    return <p className="text-sm text-gray-400 mb-6">{error || 'Loading…'}</p>
+  }
+
+  const { profile, preferences, recent_ratings: ratings, recommendations: recs } = detail
+
+  return (
+    <>
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700">{profile.email}</h2>
+        <p className="text-xs text-gray-400 mb-4">
+          Joined {profile.created_at.split('T')[0]} ·{' '}
+          {profile.subscribed ? 'subscribed' : profile.paused_until ? `paused, resumes ${profile.paused_until}` : 'unsubscribed'}
+          {' · '}{profile.meal_buckets.map(b => BUCKET_LABEL[b]).join(', ')}
+          {profile.role && ` · ${profile.role}`}
+        </p>
+
+        {preferences ? (
+          <div className="space-y-3 text-xs text-gray-600">
+            <p>
+              Preference vector:{' '}
+              <span className="font-semibold text-gray-700">
+                {!preferences.has_vector ? 'not computed' : preferences.vector_stale ? 'stale (recomputed on the next pipeline run)' : 'up to date'}
+              </span>
+              {' · '}{detail.rating_count} ratings
+            </p>
+            {WEIGHT_MAPS.map(([key, label]) => (
+              <div key={key}>
+                <p className="font-medium text-gray-500 mb-1">{label}</p>
+                <WeightList weights={preferences[key]} />
+              </div>
+            ))}
+            <p>
+              <span className="font-medium text-gray-500">Dietary restrictions:</span>{' '}
+              {preferences.dietary_restrictions.join(', ') || 'none'}
+            </p>
+            <p>
+              <span className="font-medium text-gray-500">Loved ingredients:</span>{' '}
+              {preferences.initial_ingredients.join(', ') || 'none'}
+            </p>
+            <p>
+              <span className="font-medium text-gray-500">Avoided ingredients:</span>{' '}
+              {preferences.avoided_ingredients.join(', ') || 'none'}
+            </p>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-400">No preferences saved (onboarding not finished).</p>
+        )}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-3">Recent Ratings</h2>
+        {ratings.length > 0 ? (
+          <ul className="space-y-1.5">
+            {ratings.map(r => (
+              <li key={r.id} className="flex justify-between text-xs text-gray-600">
+                <span>
+                  <span className="text-gray-400 mr-2">{r.menu_date}</span>
+                  {r.source_name}
+                  {r.eateries && <span className="text-gray-400"> · {r.eateries}</span>}
+                </span>
+                <span>
+                  <span className={`font-semibold ${r.rating > 0 ? 'text-cornell-red' : 'text-gray-500'}`}>{r.score}</span>
+                  <span className="text-gray-400">/10 · {r.source}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-400">No ratings yet.</p>
+        )}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <div className="flex justify-between items-center mb-1">
+          <h2 className="text-sm font-semibold text-gray-700">Recommendation Preview</h2>
+          <input
+            type="date"
+            value={date}
+            onChange={e => setDate(e.target.value)}
+            className="border border-gray-300 rounded px-2 py-1 text-sm"
+          />
+        </div>
+        <p className="text-xs text-gray-400 mb-4">
+          What this user's Today page shows for {recs.date}
+          {!recs.personalized && ' (no preference vector yet — attribute weights only)'}.
+        </p>
+        {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+        {BUCKET_ORDER.map(bucket => {
+          const picks = recs.buckets[bucket]?.picks || []
+          return (
+            <section key={bucket} className="mb-4">
+              <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide mb-2">{BUCKET_LABEL[bucket]}</h3>
+              {picks.length === 0 ? (
+                <p className="text-xs text-gray-400">No menu for this meal.</p>
+              ) : (
+                picks.map((p, i) => (
+                  <div key={p.eatery} className="mb-2 text-xs">
+                    <p className="font-semibold text-gray-800">
+                      #{i + 1} {p.eatery} <span className="font-normal text-gray-400">{p.score.toFixed(3)}</span>
+                    </p>
+                    <ul className="pl-3 text-gray-500">
+                      {p.dishes.map(d => (
+                        <li key={d.menu_id}>
+                          {d.name} <span className="text-gray-400">· {d.dish_type} · {d.score.toFixed(3)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))
+              )}
+            </section>
+          )
+        })}
+      </div>
+    </>
+  )
+}
+
+function WeightList({ weights }) {
+  const entries = Object.entries(weights || {}).sort((a, b) => b[1] - a[1])
+  if (entries.length === 0) return <p className="text-gray-400">none</p>
+  return (
+    <div className="flex flex-wrap gap-x-3 gap-y-1">
+      {entries.map(([key, value]) => (
+        <span key={key}>
+          {key}{' '}
+          <span className={`font-semibold ${value > 0 ? 'text-gray-700' : 'text-gray-400'}`}>
+            {Number(value.toFixed(2))}
+          </span>
+        </span>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,94 @@
+import { useState } from 'react'
+import { errorMessage } from '../lib/api'
+import { supabase } from '../lib/supabase'
+import { MAX_IMPORT_RATINGS } from '../../functions/_shared/ratings.js'
+
+/**
+ * File picker that uploads a "Download my data" JSON export to /api/import
+ * and reports how many ratings matched. Exports with more than
+ * MAX_IMPORT_RATINGS ratings go up in batches; only the first carries the
+ * preferences.
+ *
+ * onImported – optional () => void, called after a successful import
+ */
+export default function DataImport({ onImported }) {
+  const [busy,   setBusy]   = useState(false)
+  const [result, setResult] = useState(null)
+  const [error,  setError]  = useState(null)
+
+  async function handleFile(e) {
+    const file = e.target.files?.[0]
+    e.target.value = ''
+    if (!file) return
+
+    setBusy(true)
+    setResult(null)
+    setError(null)
+    try {
+      let payload
+      try {
+        payload = JSON.parse(await file.text())
+      } catch {
+        setError('That file is not valid JSON.')
+        return
+      }
+
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) return
+
+      const ratings = Array.isArray(payload?.ratings) ? payload.ratings : []
+      const batches = []
+      for (let i = 0; i < ratings.length; i += MAX_IMPORT_RATINGS) {
+        batches.push({ ratings: ratings.slice(i, i + MAX_IMPORT_RATINGS) })
+      }
+      if (batches.length === 0) batches.push({})
+      batches[0] = { ...payload, ...batches[0] }
+
+      const total = { imported_ratings: 0, unmatched: [] }
+      for (const [i, batch] of batches.entries()) {
+        const res = await fetch('/api/import', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.access_token}` },
+          body: JSON.stringify(batch),
+        })
+        const data = await res.json().catch(() => ({}))
+        if (!res.ok) {
+          const message = errorMessage(data, 'Import failed.')
+          setError(i === 0 ? message : `${message} (after ${total.imported_ratings} ratings were imported)`)
+          if (i > 0) onImported?.()
+          return
+        }
+        total.imported_ratings += data.imported_ratings
+        total.unmatched.push(...data.unmatched)
+      }
+      setResult(total)
+      onImported?.()
+    } catch {
+      setError('Import failed.')
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div>
+      <label className={`inline-block text-xs text-cornell-red hover:underline cursor-pointer ${busy ? 'opacity-50' : ''}`}>
+        {busy ? 'Importing…' : 'Import from a previous export'}
+        <input type="file" accept="application/json,.json" onChange={handleFile} disabled={busy} className="hidden" />
+      </label>
+      {result && (
+        <p className="text-xs text-green-600 mt-1">
+          Imported preferences and {result.imported_ratings} rating{result.imported_ratings !== 1 ? 's' : ''}.
+          {result.unmatched.length > 0 && (
+            <span className="text-gray-500">
+              {' '}{result.unmatched.length} rating{result.unmatched.length !== 1 ? 's' : ''} matched no current dish
+              ({result.unmatched.slice(0, 3).map(u => u.normalized_name).join(', ')}
+              {result.unmatched.length > 3 ? ', …' : ''}).
+            </span>
+          )}
+        </p>
+      )}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,61 @@
+import { useEffect, useState } from 'react'
+
+const PRESET_DAYS = [7, 30, 90]
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function localDateStr() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+}
+
+/**
+ * Inclusive campus-local date range for the admin analytics endpoints
+ * (?from=&to=). Edits apply on "Apply"; presets apply immediately and end today.
+ *
+ * from, to – YYYY-MM-DD currently shown
+ * onChange – ({ from, to }) => void
+ */
+export default function DateRangePicker({ from, to, onChange }) {
+  const [draft, setDraft] = useState({ from, to })
+
+  useEffect(() => setDraft({ from, to }), [from, to])
+
+  function preset(days) {
+    const today = localDateStr()
+    const start = new Date(Date.parse(`${today}T00:00:00Z`) - (days - 1) * DAY_MS)
+    onChange({ from: start.toISOString().split('T')[0], to: today })
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-6 text-sm">
+      <input
+        type="date"
+        value={draft.from}
+        max={draft.to}
+        onChange={e => setDraft({ ...draft, from: e.target.value })}
+        className="border border-gray-300 rounded px-2 py-1"
+      />
+      <span className="text-gray-400">to</span>
+      <input
+        type="date"
+        value={draft.to}
+        min={draft.from}
+        onChange={e => setDraft({ ...draft, to: e.target.value })}
+        className="border border-gray-300 rounded px-2 py-1"
+      />
+      <button
+        onClick={() => onChange(draft)}
+        disabled={draft.from === from && draft.to === to}
+        className="px-3 py-1 bg-cornell-red text-white font-semibold rounded hover:bg-red-800 transition-all disabled:opacity-50"
+      >
+        Apply
+      </button>
+      <span className="ml-2 flex gap-2 text-xs text-gray-500">
+        {PRESET_DAYS.map(days => (
+          <button key={days} onClick={() => preset(days)} className="hover:text-cornell-red">
+            Last {days} days
+          </button>
+        ))}
+      </span>
+    </div>
+  )
+}
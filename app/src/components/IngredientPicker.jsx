@@ -0,0 +1,98 @@
+import { useEffect, useState } from 'react'
+import { supabase } from '../lib/supabase'
+
+/**
+ * Searchable ingredient picker fed by /api/ingredients (the dishes.ingredients
+ * vocabulary). Selected ingredients show as removable chips; with an empty
+ * search box the most common ingredients are suggested.
+ *
+ * value    – string[]
+ * exclude  – string[]  (already picked in the other list, hidden from suggestions)
+ * onChange – (next: string[]) => void
+ */
+export default function IngredientPicker({ label, hint, value = [], exclude = [], onChange }) {
+  const [query,       setQuery]       = useState('')
+  const [suggestions, setSuggestions] = useState([])
+
+  useEffect(() => {
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      const { data: { session } } = await supabase.auth.getSession()
+      if (!session) return
+      const params = new URLSearchParams({ q: query.trim(), limit: '20' })
+      const res = await fetch(`/api/ingredients?${params}`, {
+        headers: { Authorization: `Bearer ${session.access_token}` },
+      })
+      if (res.ok && !cancelled) {
+        const data = await res.json()
+        setSuggestions((data || []).map(d => d.ingredient))
+      }
+    }, 200)
+    return () => { cancelled = true; clearTimeout(timer) }
+  }, [query])
+
+  const visible = suggestions.filter(s => !value.includes(s) && !exclude.includes(s))
+
+  function add(item) {
+    onChange([...value, item])
+    setQuery('')
+  }
+
+  function remove(item) {
+    onChange(value.filter(i => i !== item))
+  }
+
+  function handleKeyDown(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      if (visible.length > 0) add(visible[0])
+    }
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm font-semibold text-cornell-red mb-1">{label}</h3>
+      {hint && <p className="text-xs text-gray-400 mb-2">{hint}</p>}
+
+      {value.length > 0 && (
+        <div className="flex flex-wrap gap-2 mb-2">
+          {value.map(item => (
+            <button
+              key={item}
+              type="button"
+              onClick={() => remove(item)}
+              className="px-3 py-1 text-sm rounded-full border bg-cornell-red text-white border-cornell-red"
+              title="Remove"
+            >
+              {item} ✕
+            </button>
+          ))}
+        </div>
+      )}
+
+      <input
+        type="search"
+        placeholder="Search ingredients…"
+        value={query}
+        onChange={e => setQuery(e.target.value)}
+        onKeyDown={handleKeyDown}
+        className="w-full border border-gray-300 rounded px-2 py-1 text-sm mb-2"
+      />
+      <div className="flex flex-wrap gap-1.5">
+        {visible.map(item => (
+          <button
+            key={item}
+            type="button"
+            onClick={() => add(item)}
+            className="px-2.5 py-1 text-xs rounded-full border bg-white text-gray-600 border-gray-300 hover:border-cornell-red"
+          >
+            + {item}
+          </button>
+        ))}
+        {visible.length === 0 && query.trim() && (
+          <p className="text-xs text-gray-400">No matching ingredients on our menus.</p>
+        )}
+      </div>
+    </div>
+  )
+}
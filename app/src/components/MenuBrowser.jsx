@@ -0,0 +1,193 @@
+import { useState } from 'react'
+import { RATING_LEVELS } from '../lib/ratings'
+
+export const BUCKET_LABEL = {
+  breakfast_brunch: 'Breakfast / Brunch',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+}
+
+export const BUCKET_ORDER = ['breakfast_brunch', 'lunch', 'dinner']
+
+const DISH_TYPE_ORDER = ['main', 'side', 'other']
+const DISH_TYPE_LABEL = { main: 'Mains', side: 'Sides', other: 'Other' }
+
+/**
+ * Date picker + meal/eatery filters + grouped menu for one day.
+ *
+ * menus        – daily_menus rows ({ id, dish_id, eatery, bucket, dishes, my_score? }[]) or null before first load
+ * date         – YYYY-MM-DD
+ * onDateChange – (date: string) => void
+ * onLoad       – () => void
+ * onRate       – optional (entry, score: 1-10) => void; shows quick-rating buttons per dish when set
+ */
+export default function MenuBrowser({ menus, date, onDateChange, onLoad, onRate }) {
+  const [filterEateries, setFilterEateries] = useState([])
+  const [filterBuckets,  setFilterBuckets]  = useState([])
+
+  function handleLoad() {
+    setFilterEateries([])
+    setFilterBuckets([])
+    onLoad()
+  }
+
+  function toggle(setter, value) {
+    setter(prev => prev.includes(value) ? prev.filter(x => x !== value) : [...prev, value])
+  }
+
+  const eateryOptions = menus ? [...new Set(menus.map(m => m.eatery))].sort() : []
+  const bucketOptions = menus ? BUCKET_ORDER.filter(b => menus.some(m => m.bucket === b)) : []
+  const filteredMenus = (menus || []).filter(m =>
+    (filterEateries.length === 0 || filterEateries.includes(m.eatery)) &&
+    (filterBuckets.length === 0 || filterBuckets.includes(m.bucket))
+  )
+  const anyFilterActive = filterEateries.length > 0 || filterBuckets.length > 0
+
+  return (
+    <>
+      <div className="flex gap-3 mb-4">
+        <input
+          type="date"
+          value={date}
+          onChange={e => onDateChange(e.target.value)}
+          className="border border-gray-300 rounded px-3 py-1.5 text-sm"
+        />
+        <button
+          onClick={handleLoad}
+          className="px-4 py-1.5 bg-cornell-red text-white text-sm font-semibold rounded hover:bg-red-800 transition-all"
+        >
+          Load
+        </button>
+      </div>
+
+      {menus !== null && menus.length > 0 && (
+        <>
+          <div className="mb-4 space-y-2">
+            <FilterRow label="Meal" options={bucketOptions} selected={filterBuckets}
+              labelFor={b => BUCKET_LABEL[b]} onToggle={b => toggle(setFilterBuckets, b)} />
+            <FilterRow label="Eatery" options={eateryOptions} selected={filterEateries}
+              labelFor={e => e} onToggle={e => toggle(setFilterEateries, e)} />
+            {anyFilterActive && (
+              <button
+                onClick={() => { setFilterEateries([]); setFilterBuckets([]) }}
+                className="text-xs text-cornell-red hover:underline"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+          {filteredMenus.length === 0
+            ? <p className="text-sm text-gray-400">No dishes match the current filters.</p>
+            : <MenuGroups menus={filteredMenus} onRate={onRate} />
+          }
+        </>
+      )}
+
+      {menus === null && (
+        <p className="text-sm text-gray-400">Select a date to view the menu.</p>
+      )}
+      {menus !== null && menus.length === 0 && (
+        <p className="text-sm text-gray-400">No menu data for {date}.</p>
+      )}
+    </>
+  )
+}
+
+function FilterRow({ label, options, selected, labelFor, onToggle }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-xs font-semibold text-gray-400 uppercase tracking-wide w-12">{label}</span>
+      {options.map(opt => (
+        <button
+          key={opt}
+          onClick={() => onToggle(opt)}
+          className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
+            selected.includes(opt)
+              ? 'bg-cornell-red text-white border-cornell-red'
+              : 'bg-gray-100 text-gray-600 border-gray-100 hover:bg-gray-200'
+          }`}
+        >
+          {labelFor(opt)}
+        </button>
+      ))}
+    </div>
+  )
+}
+
+function MenuGroups({ menus, onRate }) {
+  // Group: eatery → bucket → [entry]
+  const grouped = {}
+  for (const m of menus) {
+    const name = m.dishes?.source_name
+    if (!name) continue
+    const dtype = ['main', 'side'].includes(m.dishes?.dish_type) ? m.dishes.dish_type : 'other'
+    if (!grouped[m.eatery]) grouped[m.eatery] = {}
+    if (!grouped[m.eatery][m.bucket]) grouped[m.eatery][m.bucket] = []
+    grouped[m.eatery][m.bucket].push({ ...m, name, dtype })
+  }
+
+  return (
+    <div className="space-y-4">
+      {Object.entries(grouped).map(([eatery, buckets]) => {
+        const totalDishes = Object.values(buckets).reduce((s, d) => s + d.length, 0)
+        return (
+          <div key={eatery} className="border border-gray-200 rounded-lg overflow-hidden">
+            <div className="flex items-center justify-between bg-gray-50 px-4 py-2.5 border-b border-gray-200">
+              <span className="text-sm font-semibold text-gray-800">{eatery}</span>
+              <span className="text-xs text-gray-400">
+                {totalDishes} dish{totalDishes !== 1 ? 'es' : ''}
+              </span>
+            </div>
+            <div className="divide-y divide-gray-100">
+              {BUCKET_ORDER.filter(b => buckets[b]).map(bucket => (
+                <div key={bucket} className="px-4 py-3">
+                  <p className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">
+                    {BUCKET_LABEL[bucket] ?? bucket}
+                  </p>
+                  {DISH_TYPE_ORDER.map(dtype => {
+                    const dishes = buckets[bucket].filter(d => d.dtype === dtype)
+                    if (dishes.length === 0) return null
+                    return (
+                      <div key={dtype} className="mb-2 last:mb-0">
+                        <p className="text-xs font-medium text-gray-400 mb-1">{DISH_TYPE_LABEL[dtype]}</p>
+                        <ul className="flex flex-wrap gap-1.5">
+                          {dishes.map(d => (
+                            <li
+                              key={d.id}
+                              className="flex items-center gap-1 text-xs bg-gray-100 text-gray-700 rounded px-2 py-1"
+                            >
+                              {d.name}
+                              {onRate && <RateButtons entry={d} onRate={onRate} />}
+                            </li>
+                          ))}
+                        </ul>
+                      </div>
+                    )
+                  })}
+                </div>
+              ))}
+            </div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+function RateButtons({ entry, onRate }) {
+  return (
+    <span className="ml-1 flex gap-0.5">
+      {RATING_LEVELS.map(({ score, icon, label }) => (
+        <button
+          key={score}
+          type="button"
+          title={label}
+          onClick={() => onRate(entry, score)}
+          className={`transition-opacity ${entry.my_score === score ? 'opacity-100' : 'opacity-30 hover:opacity-70'}`}
+        >
+          {icon}
+        </button>
+      ))}
+    </span>
+  )
+}
@@ -0,0 +1,74 @@
+export const EMPTY_RATING_FILTERS = { q: '', liked: '', from: '', to: '', eatery: '', cuisine_type: '' }
+
+/**
+ * Filter controls for the rating history.
+ *
+ * value    – { q: string, liked: ''|'true'|'false', from: string, to: string, eatery: string, cuisine_type: string }
+ * cuisines – string[]
+ * onChange – (next) => void
+ */
+export default function RatingFilters({ value, cuisines, onChange }) {
+  function set(field, v) {
+    onChange({ ...value, [field]: v })
+  }
+
+  const anyActive = Object.values(value).some(Boolean)
+  const inputClass = 'border border-gray-300 rounded px-2 py-1 text-xs'
+
+  return (
+    <div className="mb-4 space-y-2">
+      <input
+        type="search"
+        placeholder="Search dishes…"
+        value={value.q}
+        onChange={e => set('q', e.target.value)}
+        className={`${inputClass} w-full`}
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        {[['', 'All'], ['true', 'Liked'], ['false', 'Disliked']].map(([v, label]) => (
+          <button
+            key={label}
+            type="button"
+            onClick={() => set('liked', v)}
+            className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
+              value.liked === v
+                ? 'bg-cornell-red text-white border-cornell-red'
+                : 'bg-gray-100 text-gray-600 border-gray-100 hover:bg-gray-200'
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+        <select
+          value={value.cuisine_type}
+          onChange={e => set('cuisine_type', e.target.value)}
+          className={inputClass}
+        >
+          <option value="">Any cuisine</option>
+          {cuisines.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <input
+          type="text"
+          placeholder="Eatery"
+          value={value.eatery}
+          onChange={e => set('eatery', e.target.value)}
+          className={`${inputClass} w-28`}
+        />
+      </div>
+      <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500">
+        <input type="date" value={value.from} onChange={e => set('from', e.target.value)} className={inputClass} />
+        <span>to</span>
+        <input type="date" value={value.to} onChange={e => set('to', e.target.value)} className={inputClass} />
+        {anyActive && (
+          <button
+            type="button"
+            onClick={() => onChange(EMPTY_RATING_FILTERS)}
+            className="text-xs text-cornell-red hover:underline ml-auto"
+          >
+            Clear filters
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
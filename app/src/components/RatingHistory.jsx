@@ -1,23 +1,97 @@
+import { useEffect, useRef, useState } from 'react'
+import { scoreIcon } from '../lib/ratings'
+
 /**
- * Table of a user's dish ratings with a delete button per row.
+ * Table of a user's dish ratings with an inline 1–10 editor, flip and delete per row,
+ * plus multi-select for bulk flip/delete. Calls onLoadMore when the bottom of the
+ * list scrolls into view.
  *
- * ratings  – { id: number, dishes: { source_name: string }, menu_date: string, rating: 1|-1 }[]
- * onDelete – (ratingId: number) => void
+ * ratings     – { id, dishes: { source_name, cuisine_type }, eateries: string|null, menu_date, rating: 1|-1, score }[]
+ * filtered    – true when filters are active (changes the empty-state text)
+ * hasMore     – more pages are available
+ * loadingMore – a page request is in flight
+ * onLoadMore  – () => void
+ * onUpdate    – (ratingId: number, score: number) => void
+ * onDelete    – (ratingIds: number[]) => void
+ * onBulkFlip  – (ratingIds: number[]) => void
  */
-export default function RatingHistory({ ratings, onDelete }) {
+export default function RatingHistory({
+  ratings, filtered, hasMore, loadingMore, onLoadMore, onUpdate, onDelete, onBulkFlip,
+}) {
+  const [editingId, setEditingId] = useState(null)
+  const [draft,     setDraft]     = useState(5)
+  const [selected,  setSelected]  = useState([])
+  const sentinelRef = useRef(null)
+
+  // Drop selections that are no longer in the list (deleted or filtered out)
+  useEffect(() => {
+    setSelected(prev => prev.filter(id => ratings?.some(r => r.id === id)))
+  }, [ratings])
+
+  useEffect(() => {
+    const el = sentinelRef.current
+    if (!el || !hasMore) return
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting && !loadingMore) onLoadMore()
+    })
+    observer.observe(el)
+    return () => observer.disconnect()
+  }, [hasMore, loadingMore, onLoadMore])
+
   if (!ratings || ratings.length === 0) {
     return (
       <p className="text-sm text-gray-400">
-        No ratings yet. Rate dishes from your daily emails!
+        {filtered
+          ? 'No ratings match these filters.'
+          : 'No ratings yet. Rate dishes from your daily emails or the menu page!'}
       </p>
     )
   }
 
+  function startEdit(r) {
+    setEditingId(r.id)
+    setDraft(r.score)
+  }
+
+  function saveEdit() {
+    onUpdate(editingId, draft)
+    setEditingId(null)
+  }
+
+  function toggleSelected(id) {
+    setSelected(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id])
+  }
+
+  const allSelected = selected.length === ratings.length
+
   return (
     <div className="overflow-x-auto">
+      {selected.length > 0 && (
+        <div className="flex items-center gap-4 mb-2 px-3 py-2 bg-gray-50 rounded text-xs">
+          <span className="text-gray-600 font-medium">{selected.length} selected</span>
+          <button onClick={() => onBulkFlip(selected)} className="text-cornell-red hover:underline">
+            Flip
+          </button>
+          <button onClick={() => onDelete(selected)} className="text-red-600 hover:underline">
+            Delete
+          </button>
+          <button onClick={() => setSelected([])} className="text-gray-400 hover:text-gray-600 ml-auto">
+            Clear
+          </button>
+        </div>
+      )}
       <table className="w-full text-sm">
         <thead>
           <tr className="border-b border-gray-200">
+            <th className="py-2 pr-2 w-6">
+              <input
+                type="checkbox"
+                checked={allSelected}
+                onChange={() => setSelected(allSelected ? [] : ratings.map(r => r.id))}
+                className="accent-cornell-red"
+                aria-label="Select all"
+              />
+            </th>
             <th className="text-left py-2 pr-4 text-gray-500 font-medium">Dish</th>
             <th className="text-left py-2 pr-4 text-gray-500 font-medium">Date</th>
             <th className="text-left py-2 pr-4 text-gray-500 font-medium">Rating</th>
@@ -27,21 +101,90 @@ export default function RatingHistory({ ratings, onDelete }) {
         <tbody>
           {ratings.map(r => (
             <tr key={r.id} className="border-b border-gray-100 hover:bg-gray-50">
-              <td className="py-2 pr-4 text-gray-800">{r.dishes?.source_name || '—'}</td>
+              <td className="py-2 pr-2">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(r.id)}
+                  onChange={() => toggleSelected(r.id)}
+                  className="accent-cornell-red"
+                />
+              </td>
+              <td className="py-2 pr-4 text-gray-800">
+                {r.dishes?.source_name || '—'}
+                {(r.eateries || r.dishes?.cuisine_type) && (
+                  <div className="text-xs text-gray-400">
+                    {[r.eateries, r.dishes?.cuisine_type].filter(Boolean).join(' · ')}
+                  </div>
+                )}
+              </td>
               <td className="py-2 pr-4 text-gray-500">{r.menu_date}</td>
-              <td className="py-2 pr-4 text-lg">{r.rating === 1 ? '👍' : '👎'}</td>
-              <td className="py-2">
-                <button
-                  onClick={() => onDelete(r.id)}
-                  className="text-xs text-gray-400 hover:text-red-600 transition-colors"
-                >
-                  Delete
-                </button>
+              <td className="py-2 pr-4">
+                {editingId === r.id ? (
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="range"
+                      min="1"
+                      max="10"
+                      value={draft}
+                      onChange={e => setDraft(parseInt(e.target.value, 10))}
+                      className="w-24 accent-cornell-red"
+                    />
+                    <span className="text-xs font-bold text-cornell-red w-8">{draft}/10</span>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => startEdit(r)}
+                    title="Change rating"
+                    className="flex items-center gap-1.5"
+                  >
+                    <span className="text-lg">{scoreIcon(r.score)}</span>
+                    <span className="text-xs text-gray-500">{r.score}/10</span>
+                  </button>
+                )}
+              </td>
+              <td className="py-2 whitespace-nowrap">
+                {editingId === r.id ? (
+                  <>
+                    <button
+                      onClick={saveEdit}
+                      className="text-xs text-cornell-red hover:underline mr-3"
+                    >
+                      Save
+                    </button>
+                    <button
+                      onClick={() => setEditingId(null)}
+                      className="text-xs text-gray-400 hover:text-gray-600"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <button
+                      onClick={() => onUpdate(r.id, 11 - r.score)}
+                      title="Flip between like and dislike at the same strength"
+                      className="text-xs text-gray-400 hover:text-cornell-red transition-colors mr-3"
+                    >
+                      Flip
+                    </button>
+                    <button
+                      onClick={() => onDelete([r.id])}
+                      className="text-xs text-gray-400 hover:text-red-600 transition-colors"
+                    >
+                      Delete
+                    </button>
+                  </>
+                )}
               </td>
             </tr>
           ))}
         </tbody>
       </table>
+      {hasMore && (
+        <div ref={sentinelRef} className="py-3 text-center text-xs text-gray-400">
+          {loadingMore ? 'Loading…' : ''}
+        </div>
+      )}
     </div>
   )
 }
@@ -0,0 +1,67 @@
+import { WEIGHT_LEVELS, isInferredWeight, nearestLevel } from '../lib/weights'
+
+/**
+ * Avoid / neutral / like / love control for cuisine, flavor and cooking-method
+ * preferences.
+ *
+ * value    – Record<string, number>  (missing key = neutral; any number is kept as-is until changed)
+ * onChange – (next: Record<string, number>) => void
+ */
+export default function WeightLevels({ label, options, value = {}, onChange }) {
+  function pick(opt, weight) {
+    const next = { ...value }
+    if (weight === 0) {
+      delete next[opt]
+    } else {
+      next[opt] = weight
+    }
+    onChange(next)
+  }
+
+  return (
+    <div className="mb-4">
+      <h3 className="text-sm font-semibold text-cornell-red mb-2">{label}</h3>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1.5">
+        {options.map(opt => {
+          const current = nearestLevel(value[opt])
+          return (
+            <div key={opt} className="flex items-center justify-between gap-2">
+              <span className="text-sm text-gray-700 truncate">
+                {opt}
+                {isInferredWeight(value[opt]) && (
+                  <span
+                    className="ml-1 text-xs text-gray-400"
+                    title="Adjusted from your ratings"
+                  >
+                    ({value[opt].toFixed(1)})
+                  </span>
+                )}
+              </span>
+              <div className="flex shrink-0 rounded-full border border-gray-300 overflow-hidden">
+                {WEIGHT_LEVELS.map(level => (
+                  <button
+                    key={level.label}
+                    type="button"
+                    onClick={() => pick(opt, level.weight)}
+                    aria-pressed={current === level}
+                    className={`px-2 py-0.5 text-xs transition-colors ${
+                      current === level
+                        ? level.weight < 0
+                          ? 'bg-gray-700 text-white'
+                          : level.weight > 0
+                            ? 'bg-cornell-red text-white'
+                            : 'bg-gray-200 text-gray-700'
+                        : 'bg-white text-gray-500 hover:bg-gray-100'
+                    }`}
+                  >
+                    {level.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
@@ -3,9 +3,14 @@ import { supabase } from '../lib/supabase'
 
 const AuthContext = createContext(null)
 
+// Same order as functions/_shared/roles.js
+const ROLES = ['analyst', 'admin']
+
 export function AuthProvider({ children }) {
   // undefined = still loading, null = not signed in, object = signed in
   const [session, setSession] = useState(undefined)
+  // undefined = still loading, null = regular user, 'analyst' | 'admin' = staff
+  const [role, setRole] = useState(undefined)
 
   useEffect(() => {
     supabase.auth.getSession().then(({ data: { session } }) => {
@@ -19,8 +24,36 @@ export function AuthProvider({ children }) {
     return () => subscription.unsubscribe()
   }, [])
 
+  const sessionLoaded = session !== undefined
+  const userId        = session?.user?.id
+  useEffect(() => {
+    if (!sessionLoaded) return
+    if (!userId) {
+      setRole(null)
+      return
+    }
+    let cancelled = false
+    setRole(undefined)
+    // RLS only exposes the caller's own row; the server re-checks on every admin request
+    supabase
+      .from('user_roles')
+      .select('role')
+      .eq('user_id', userId)
+      .maybeSingle()
+      .then(({ data }) => { if (!cancelled) setRole(data?.role ?? null) })
+    return () => { cancelled = true }
+  }, [sessionLoaded, userId])
+
+  const value = {
+    session,
+    loading:     !sessionLoaded,
+    role,
+    roleLoading: role === undefined,
+    hasRole:     minimum => ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimum),
+  }
+
   return (
-    <AuthContext.Provider value={{ session, loading: session === undefined }}>
+    <AuthContext.Provider value={value}>
       {children}
     </AuthContext.Provider>
   )
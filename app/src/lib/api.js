@@ -0,0 +1,15 @@
+// /api errors come back as { error: { code, message, request_id, details? } }
+// (functions/_shared/http.js); validation failures list { path, message } in details.
+
+/** Message to show for a failed /api response body, including the first validation detail. */
+export function errorMessage(body, fallback) {
+  const error = body?.error
+  if (!error?.message) return fallback
+  const detail = error.details?.[0]
+  return detail ? `${error.message}: ${detail.path} ${detail.message}` : error.message
+}
+
+/** The first validation detail's message, or null. */
+export function errorDetail(body) {
+  return body?.error?.details?.[0]?.message ?? null
+}
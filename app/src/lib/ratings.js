@@ -0,0 +1,14 @@
+// Quick-rating levels offered in emails and the menu browser. Scores are on
+// the same 1–10 scale as the onboarding sliders; the server converts them to
+// rating + strength (functions/_shared/ratings.js).
+export const RATING_LEVELS = [
+  { score: 10, icon: '😍', label: 'Love it' },
+  { score: 7,  icon: '🙂', label: 'Fine' },
+  { score: 1,  icon: '👎', label: 'Not for me' },
+]
+
+export function scoreIcon(score) {
+  if (score >= 9) return '😍'
+  if (score >= 6) return '🙂'
+  return '👎'
+}
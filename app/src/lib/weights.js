@@ -0,0 +1,21 @@
+// Levels offered for cuisine / flavor / cooking-method preferences. Weights
+// are continuous (the pipeline adds inferred rating signals on top of what the
+// user picks), so a stored weight is shown at its nearest level and is only
+// replaced when the user picks a level for that key.
+export const WEIGHT_LEVELS = [
+  { weight: -1, label: 'Avoid' },
+  { weight: 0,  label: 'Neutral' },
+  { weight: 1,  label: 'Like' },
+  { weight: 2,  label: 'Love' },
+]
+
+export function nearestLevel(weight = 0) {
+  return WEIGHT_LEVELS.reduce((best, level) =>
+    Math.abs(level.weight - weight) < Math.abs(best.weight - weight) ? level : best
+  )
+}
+
+/** True when the weight came from the pipeline rather than a level pick. */
+export function isInferredWeight(weight) {
+  return weight !== undefined && !WEIGHT_LEVELS.some(l => l.weight === weight)
+}
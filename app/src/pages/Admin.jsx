@@ -14,8 +14,29 @@ import {
 } from "recharts";
 import AuthGuard from "../components/AuthGuard";
 import StatCard from "../components/StatCard";
+import MenuBrowser from "../components/MenuBrowser";
+import AdminRoles from "../components/AdminRoles";
+import AdminAudit from "../components/AdminAudit";
+import AdminDishes from "../components/AdminDishes";
+import AdminOnboarding from "../components/AdminOnboarding";
+import AdminUsers from "../components/AdminUsers";
+import AdminSatisfaction from "../components/AdminSatisfaction";
+import DateRangePicker from "../components/DateRangePicker";
+import { useAuth } from "../context/AuthContext";
+import { errorMessage } from "../lib/api";
 import { supabase } from "../lib/supabase";
 
+// Analysts see read-only tabs; admin-only tabs change data
+const TABS = [
+  { id: "overview", label: "Overview", role: "analyst" },
+  { id: "satisfaction", label: "Satisfaction", role: "analyst" },
+  { id: "dishes", label: "Dishes", role: "analyst" },
+  { id: "onboarding", label: "Onboarding", role: "analyst" },
+  { id: "users", label: "Users", role: "admin" },
+  { id: "roles", label: "Roles", role: "admin" },
+  { id: "audit", label: "Audit Log", role: "admin" },
+];
+
 export default function Admin() {
   return (
     <AuthGuard>
@@ -26,15 +47,16 @@ export default function Admin() {
 
 function AdminInner() {
   const navigate = useNavigate();
+  const { hasRole, roleLoading } = useAuth();
+  const [tab, setTab] = useState("overview");
   const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState(null);
   const [menus, setMenus] = useState(null);
   const [menuDate, setMenuDate] = useState(
     new Date().toISOString().split("T")[0],
   );
   const [loading, setLoading] = useState(true);
   const [denied, setDenied] = useState(false);
-  const [filterEateries, setFilterEateries] = useState([]);
-  const [filterBuckets, setFilterBuckets] = useState([]);
 
   async function getToken() {
     const {
@@ -44,16 +66,22 @@ function AdminInner() {
   }
 
   useEffect(() => {
-    loadStats();
-  }, []);
+    if (roleLoading) return;
+    if (hasRole("analyst")) loadStats();
+    else setLoading(false);
+  }, [roleLoading]);
 
-  async function loadStats() {
+  async function loadStats(range = {}) {
     const token = await getToken();
     if (!token) {
       navigate("/");
       return;
     }
-    const res = await fetch("/api/admin/stats", {
+    // Without from/to the server defaults to the last 30 days
+    const params = new URLSearchParams(
+      Object.entries(range).filter(([, v]) => v),
+    );
+    const res = await fetch(`/api/admin/stats?${params}`, {
       headers: { Authorization: `Bearer ${token}` },
     });
     if (res.status === 403) {
@@ -61,8 +89,13 @@ function AdminInner() {
       setLoading(false);
       return;
     }
-    const data = await res.json();
-    setStats(data);
+    const data = await res.json().catch(() => ({}));
+    if (res.ok) {
+      setStats(data);
+      setStatsError(null);
+    } else {
+      setStatsError(errorMessage(data, "Failed to load stats."));
+    }
     setLoading(false);
   }
 
@@ -74,8 +107,6 @@ function AdminInner() {
     });
     if (res.ok) {
       setMenus(await res.json());
-      setFilterEateries([]);
-      setFilterBuckets([]);
     }
   }
 
@@ -84,7 +115,7 @@ function AdminInner() {
     navigate("/");
   }
 
-  if (loading) {
+  if (loading || roleLoading) {
     return (
       <div className="min-h-screen flex items-center justify-center">
         <p className="text-gray-400 text-sm">Loading…</p>
@@ -92,14 +123,14 @@ function AdminInner() {
     );
   }
 
-  if (denied) {
+  if (denied || !hasRole("analyst")) {
     return (
       <div className="min-h-screen flex flex-col items-center justify-center p-5">
         <div className="max-w-sm text-center">
           <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-4">
             Access Denied
           </h1>
-          <p className="text-gray-500">This page is for admins only.</p>
+          <p className="text-gray-500">This page is for staff only.</p>
           <a
             href="/"
             className="mt-6 inline-block text-sm text-cornell-red hover:underline"
@@ -126,323 +157,296 @@ function AdminInner() {
           </button>
         </div>
 
-        {/* Stat cards */}
-        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
-          <StatCard label="Subscribers" value={stats?.total_subscribers} />
-          <StatCard label="Total Users" value={stats?.total_users} />
-          <StatCard label="Last Menu Date" value={stats?.last_menu_date} />
-          <StatCard
-            label="Eateries Scraped"
-            value={stats?.last_menu_eatery_count}
-          />
+        <div className="flex gap-1 mb-8 border-b border-gray-200">
+          {TABS.filter((t) => hasRole(t.role)).map((t) => (
+            <button
+              key={t.id}
+              onClick={() => setTab(t.id)}
+              className={`px-4 py-2 text-sm font-medium -mb-px border-b-2 transition-colors ${
+                tab === t.id
+                  ? "border-cornell-red text-cornell-red"
+                  : "border-transparent text-gray-500 hover:text-gray-700"
+              }`}
+            >
+              {t.label}
+            </button>
+          ))}
         </div>
 
-        {/* Signups chart */}
-        <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
-          <h2 className="text-sm font-semibold text-gray-700 mb-4">
-            Signups — Last 30 Days
+        {tab === "overview" && (
+          <OverviewTab
+            stats={stats}
+            statsError={statsError}
+            menus={menus}
+            menuDate={menuDate}
+            setMenuDate={setMenuDate}
+            loadMenus={loadMenus}
+            onRangeChange={loadStats}
+          />
+        )}
+        {tab === "satisfaction" && <AdminSatisfaction />}
+        {tab === "dishes" && <AdminDishes canEdit={hasRole("admin")} />}
+        {tab === "onboarding" && (
+          <AdminOnboarding canEdit={hasRole("admin")} />
+        )}
+        {tab === "users" && hasRole("admin") && <AdminUsers />}
+        {tab === "roles" && hasRole("admin") && <AdminRoles />}
+        {tab === "audit" && hasRole("admin") && <AdminAudit />}
+      </div>
+    </div>
+  );
+}
+
+function OverviewTab({
+  stats,
+  statsError,
+  menus,
+  menuDate,
+  setMenuDate,
+  loadMenus,
+  onRangeChange,
+}) {
+  return (
+    <>
+      {stats && (
+        <DateRangePicker
+          from={stats.from}
+          to={stats.to}
+          onChange={onRangeChange}
+        />
+      )}
+      {statsError && <p className="text-sm text-red-600 mb-6">{statsError}</p>}
+
+      {/* Stat cards */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-8">
+        <StatCard label="Subscribers" value={stats?.total_subscribers} />
+        <StatCard label="Total Users" value={stats?.total_users} />
+        <StatCard label="Last Menu Date" value={stats?.last_menu_date} />
+        <StatCard
+          label="Eateries Scraped"
+          value={stats?.last_menu_eatery_count}
+        />
+      </div>
+
+      {/* Signups chart */}
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">
+          Signups
+        </h2>
+        {stats?.signups_by_day?.length > 0 ? (
+          <ResponsiveContainer width="100%" height={200}>
+            <LineChart data={stats.signups_by_day}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis
+                dataKey="date"
+                tick={{ fontSize: 11 }}
+                tickLine={false}
+                tickFormatter={(d) => d.slice(5)}
+              />
+              <YAxis
+                allowDecimals={false}
+                tick={{ fontSize: 11 }}
+                tickLine={false}
+                axisLine={false}
+              />
+              <Tooltip />
+              <Line
+                type="monotone"
+                dataKey="count"
+                stroke="#B31B1B"
+                strokeWidth={2}
+                dot={false}
+                name="Signups"
+              />
+            </LineChart>
+          </ResponsiveContainer>
+        ) : (
+          <p className="text-sm text-gray-400">
+            No signup data in this period.
+          </p>
+        )}
+      </div>
+
+      {/* Ratings chart */}
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">
+          Daily Ratings
+        </h2>
+        {stats?.ratings_by_day?.length > 0 ? (
+          <ResponsiveContainer width="100%" height={200}>
+            <BarChart data={stats.ratings_by_day}>
+              <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
+              <XAxis
+                dataKey="date"
+                tick={{ fontSize: 11 }}
+                tickLine={false}
+                tickFormatter={(d) => d.slice(5)}
+              />
+              <YAxis
+                allowDecimals={false}
+                tick={{ fontSize: 11 }}
+                tickLine={false}
+                axisLine={false}
+              />
+              <Tooltip />
+              <Legend wrapperStyle={{ fontSize: 12 }} />
+              <Bar
+                dataKey="liked"
+                fill="#B31B1B"
+                name="👍 Liked"
+                radius={[3, 3, 0, 0]}
+              />
+              <Bar
+                dataKey="disliked"
+                fill="#d1d5db"
+                name="👎 Disliked"
+                radius={[3, 3, 0, 0]}
+              />
+            </BarChart>
+          </ResponsiveContainer>
+        ) : (
+          <p className="text-sm text-gray-400">
+            No rating data in this period.
+          </p>
+        )}
+        {stats?.ratings_by_source &&
+          Object.keys(stats.ratings_by_source).length > 0 && (
+            <div className="flex gap-4 mt-3 text-xs text-gray-500">
+              {["email", "web", "onboarding", "import"].map((source) => (
+                <span key={source}>
+                  {source}:{" "}
+                  <span className="font-semibold text-gray-700">
+                    {stats.ratings_by_source[source] ?? 0}
+                  </span>
+                </span>
+              ))}
+            </div>
+          )}
+      </div>
+
+      {/* Top liked / disliked */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        <div className="bg-white border border-gray-200 rounded-lg p-5">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">
+            Top Liked Dishes
           </h2>
-          {stats?.signups_by_day?.length > 0 ? (
-            <ResponsiveContainer width="100%" height={200}>
-              <LineChart data={stats.signups_by_day}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-                <XAxis
-                  dataKey="date"
-                  tick={{ fontSize: 11 }}
-                  tickLine={false}
-                />
-                <YAxis
-                  allowDecimals={false}
-                  tick={{ fontSize: 11 }}
-                  tickLine={false}
-                  axisLine={false}
-                />
-                <Tooltip />
-                <Line
-                  type="monotone"
-                  dataKey="count"
-                  stroke="#B31B1B"
-                  strokeWidth={2}
-                  dot={false}
-                  name="Signups"
-                />
-              </LineChart>
-            </ResponsiveContainer>
+          {stats?.top_liked?.length > 0 ? (
+            <ol className="space-y-2">
+              {stats.top_liked.map((d, i) => (
+                <li key={d.dish_id} className="flex justify-between text-sm">
+                  <span className="text-gray-700">
+                    <span className="text-gray-400 mr-2">{i + 1}.</span>
+                    {d.name}
+                  </span>
+                  <span className="text-gray-500">{d.count} 👍</span>
+                </li>
+              ))}
+            </ol>
           ) : (
-            <p className="text-sm text-gray-400">
-              No signup data in this period.
-            </p>
+            <p className="text-sm text-gray-400">No data yet.</p>
           )}
         </div>
 
-        {/* Ratings chart */}
-        <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
-          <h2 className="text-sm font-semibold text-gray-700 mb-4">
-            Daily Ratings — Last 14 Days
+        <div className="bg-white border border-gray-200 rounded-lg p-5">
+          <h2 className="text-sm font-semibold text-gray-700 mb-3">
+            Top Disliked Dishes
           </h2>
-          {stats?.ratings_by_day?.length > 0 ? (
-            <ResponsiveContainer width="100%" height={200}>
-              <BarChart data={stats.ratings_by_day}>
-                <CartesianGrid strokeDasharray="3 3" stroke="#f0f0f0" />
-                <XAxis
-                  dataKey="date"
-                  tick={{ fontSize: 11 }}
-                  tickLine={false}
-                />
-                <YAxis
-                  allowDecimals={false}
-                  tick={{ fontSize: 11 }}
-                  tickLine={false}
-                  axisLine={false}
-                />
-                <Tooltip />
-                <Legend wrapperStyle={{ fontSize: 12 }} />
-                <Bar
-                  dataKey="liked"
-                  fill="#B31B1B"
-                  name="👍 Liked"
-                  radius={[3, 3, 0, 0]}
-                />
-                <Bar
-                  dataKey="disliked"
-                  fill="#d1d5db"
-                  name="👎 Disliked"
-                  radius={[3, 3, 0, 0]}
-                />
-              </BarChart>
-            </ResponsiveContainer>
+          {stats?.top_disliked?.length > 0 ? (
+            <ol className="space-y-2">
+              {stats.top_disliked.map((d, i) => (
+                <li key={d.dish_id} className="flex justify-between text-sm">
+                  <span className="text-gray-700">
+                    <span className="text-gray-400 mr-2">{i + 1}.</span>
+                    {d.name}
+                  </span>
+                  <span className="text-gray-500">{d.count} 👎</span>
+                </li>
+              ))}
+            </ol>
           ) : (
-            <p className="text-sm text-gray-400">
-              No rating data in this period.
-            </p>
+            <p className="text-sm text-gray-400">No data yet.</p>
           )}
         </div>
+      </div>
 
-        {/* Top liked / disliked */}
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
-          <div className="bg-white border border-gray-200 rounded-lg p-5">
-            <h2 className="text-sm font-semibold text-gray-700 mb-3">
-              Top Liked Dishes
-            </h2>
-            {stats?.top_liked?.length > 0 ? (
-              <ol className="space-y-2">
-                {stats.top_liked.map((d, i) => (
-                  <li key={d.dish_id} className="flex justify-between text-sm">
-                    <span className="text-gray-700">
-                      <span className="text-gray-400 mr-2">{i + 1}.</span>
-                      {d.name}
-                    </span>
-                    <span className="text-gray-500">{d.count} 👍</span>
-                  </li>
-                ))}
-              </ol>
-            ) : (
-              <p className="text-sm text-gray-400">No data yet.</p>
-            )}
-          </div>
-
-          <div className="bg-white border border-gray-200 rounded-lg p-5">
-            <h2 className="text-sm font-semibold text-gray-700 mb-3">
-              Top Disliked Dishes
-            </h2>
-            {stats?.top_disliked?.length > 0 ? (
-              <ol className="space-y-2">
-                {stats.top_disliked.map((d, i) => (
-                  <li key={d.dish_id} className="flex justify-between text-sm">
-                    <span className="text-gray-700">
-                      <span className="text-gray-400 mr-2">{i + 1}.</span>
-                      {d.name}
+      {/* Unsubscribe feedback */}
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-3">
+          Unsubscribe Reasons
+        </h2>
+        {stats?.unsubscribe_reasons?.length > 0 ? (
+          <>
+            <ul className="space-y-2 mb-4">
+              {stats.unsubscribe_reasons.map((r) => (
+                <li key={r.reason} className="flex justify-between text-sm">
+                  <span className="text-gray-700">{r.label}</span>
+                  <span className="text-gray-500">{r.count}</span>
+                </li>
+              ))}
+            </ul>
+            {stats.unsubscribe_comments?.length > 0 && (
+              <ul className="space-y-1.5 border-t border-gray-100 pt-3">
+                {stats.unsubscribe_comments.map((c, i) => (
+                  <li key={i} className="text-xs text-gray-600">
+                    <span className="text-gray-400 mr-2">
+                      {c.created_at.split("T")[0]}
                     </span>
-                    <span className="text-gray-500">{d.count} 👎</span>
+                    “{c.comment}”
                   </li>
                 ))}
-              </ol>
-            ) : (
-              <p className="text-sm text-gray-400">No data yet.</p>
+              </ul>
             )}
-          </div>
-        </div>
-
-        {/* Menu browser */}
-        <div className="bg-white border border-gray-200 rounded-lg p-5">
-          <h2 className="text-sm font-semibold text-gray-700 mb-4">
-            Menu Browser
-          </h2>
-          <div className="flex gap-3 mb-4">
-            <input
-              type="date"
-              value={menuDate}
-              onChange={(e) => setMenuDate(e.target.value)}
-              className="border border-gray-300 rounded px-3 py-1.5 text-sm"
-            />
-            <button
-              onClick={loadMenus}
-              className="px-4 py-1.5 bg-cornell-red text-white text-sm font-semibold rounded hover:bg-red-800 transition-all"
-            >
-              Load
-            </button>
-          </div>
-
-          {menus !== null && menus.length > 0 && (() => {
-            const eateryOptions = [...new Set(menus.map(m => m.eatery))].sort();
-            const bucketOptions = BUCKET_ORDER.filter(b => menus.some(m => m.bucket === b));
-            const filteredMenus = menus.filter(m =>
-              (filterEateries.length === 0 || filterEateries.includes(m.eatery)) &&
-              (filterBuckets.length === 0 || filterBuckets.includes(m.bucket))
-            );
-            const anyFilterActive = filterEateries.length > 0 || filterBuckets.length > 0;
-            return (
-              <>
-                <div className="mb-4 space-y-2">
-                  <div className="flex flex-wrap items-center gap-2">
-                    <span className="text-xs font-semibold text-gray-400 uppercase tracking-wide w-12">Meal</span>
-                    {bucketOptions.map(b => (
-                      <button
-                        key={b}
-                        onClick={() => setFilterBuckets(prev =>
-                          prev.includes(b) ? prev.filter(x => x !== b) : [...prev, b]
-                        )}
-                        className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
-                          filterBuckets.includes(b)
-                            ? "bg-cornell-red text-white border-cornell-red"
-                            : "bg-gray-100 text-gray-600 border-gray-100 hover:bg-gray-200"
-                        }`}
-                      >
-                        {BUCKET_LABEL[b]}
-                      </button>
-                    ))}
-                  </div>
-                  <div className="flex flex-wrap items-center gap-2">
-                    <span className="text-xs font-semibold text-gray-400 uppercase tracking-wide w-12">Eatery</span>
-                    {eateryOptions.map(e => (
-                      <button
-                        key={e}
-                        onClick={() => setFilterEateries(prev =>
-                          prev.includes(e) ? prev.filter(x => x !== e) : [...prev, e]
-                        )}
-                        className={`text-xs px-2.5 py-1 rounded-full border transition-colors ${
-                          filterEateries.includes(e)
-                            ? "bg-cornell-red text-white border-cornell-red"
-                            : "bg-gray-100 text-gray-600 border-gray-100 hover:bg-gray-200"
-                        }`}
-                      >
-                        {e}
-                      </button>
-                    ))}
-                  </div>
-                  {anyFilterActive && (
-                    <button
-                      onClick={() => { setFilterEateries([]); setFilterBuckets([]); }}
-                      className="text-xs text-cornell-red hover:underline"
-                    >
-                      Clear filters
-                    </button>
-                  )}
-                </div>
-                {filteredMenus.length === 0
-                  ? <p className="text-sm text-gray-400">No dishes match the current filters.</p>
-                  : <MenuGroups menus={filteredMenus} />
-                }
-              </>
-            );
-          })()}
-
-          {menus === null && (
-            <p className="text-sm text-gray-400">
-              Select a date to view the menu.
-            </p>
-          )}
-          {menus !== null && menus.length === 0 && (
-            <p className="text-sm text-gray-400">
-              No menu data for {menuDate}.
-            </p>
-          )}
-        </div>
+          </>
+        ) : (
+          <p className="text-sm text-gray-400">No feedback yet.</p>
+        )}
       </div>
-    </div>
-  );
-}
-
-const BUCKET_LABEL = {
-  breakfast_brunch: "Breakfast / Brunch",
-  lunch: "Lunch",
-  dinner: "Dinner",
-};
-
-const BUCKET_ORDER = ["breakfast_brunch", "lunch", "dinner"];
 
-const DISH_TYPE_ORDER = ["main", "side", "other"];
-const DISH_TYPE_LABEL = { main: "Mains", side: "Sides", other: "Other" };
-
-function MenuGroups({ menus }) {
-  // Group: eatery → bucket → [{name, dtype}]
-  const grouped = {};
-  for (const m of menus) {
-    const name = m.dishes?.source_name;
-    if (!name) continue;
-    const dtype = ["main", "side"].includes(m.dishes?.dish_type)
-      ? m.dishes.dish_type
-      : "other";
-    if (!grouped[m.eatery]) grouped[m.eatery] = {};
-    if (!grouped[m.eatery][m.bucket]) grouped[m.eatery][m.bucket] = [];
-    grouped[m.eatery][m.bucket].push({ name, dtype });
-  }
-
-  return (
-    <div className="space-y-4">
-      {Object.entries(grouped).map(([eatery, buckets]) => {
-        const totalDishes = Object.values(buckets).reduce(
-          (s, d) => s + d.length,
-          0,
-        );
-        return (
-          <div
-            key={eatery}
-            className="border border-gray-200 rounded-lg overflow-hidden"
-          >
-            <div className="flex items-center justify-between bg-gray-50 px-4 py-2.5 border-b border-gray-200">
-              <span className="text-sm font-semibold text-gray-800">
-                {eatery}
-              </span>
-              <span className="text-xs text-gray-400">
-                {totalDishes} dish{totalDishes !== 1 ? "es" : ""}
-              </span>
-            </div>
-            <div className="divide-y divide-gray-100">
-              {BUCKET_ORDER.filter((b) => buckets[b]).map((bucket) => (
-                <div key={bucket} className="px-4 py-3">
-                  <p className="text-xs font-semibold uppercase tracking-wide text-gray-400 mb-2">
-                    {BUCKET_LABEL[bucket] ?? bucket}
-                  </p>
-                  {DISH_TYPE_ORDER.map((dtype) => {
-                    const dishes = buckets[bucket].filter(
-                      (d) => d.dtype === dtype,
-                    );
-                    if (dishes.length === 0) return null;
-                    return (
-                      <div key={dtype} className="mb-2 last:mb-0">
-                        <p className="text-xs font-medium text-gray-400 mb-1">
-                          {DISH_TYPE_LABEL[dtype]}
-                        </p>
-                        <ul className="flex flex-wrap gap-1.5">
-                          {dishes.map((d) => (
-                            <li
-                              key={d.name}
-                              className="text-xs bg-gray-100 text-gray-700 rounded px-2 py-1"
-                            >
-                              {d.name}
-                            </li>
-                          ))}
-                        </ul>
-                      </div>
-                    );
-                  })}
-                </div>
+      {/* Rate-limit events */}
+      <div className="bg-white border border-gray-200 rounded-lg p-5 mb-6">
+        <h2 className="text-sm font-semibold text-gray-700 mb-3">
+          Rate-limit Events
+        </h2>
+        {stats?.abuse_events?.recent?.length > 0 ? (
+          <>
+            <ul className="space-y-2 mb-4">
+              {stats.abuse_events.by_route.map((r) => (
+                <li key={r.route} className="flex justify-between text-sm">
+                  <span className="font-mono text-gray-700">{r.route}</span>
+                  <span className="text-gray-500">{r.count}</span>
+                </li>
               ))}
-            </div>
-          </div>
-        );
-      })}
-    </div>
+            </ul>
+            <ul className="space-y-1.5 border-t border-gray-100 pt-3">
+              {stats.abuse_events.recent.map((e, i) => (
+                <li key={i} className="text-xs text-gray-600">
+                  <span className="text-gray-400 mr-2">
+                    {e.created_at.replace("T", " ").slice(0, 16)}
+                  </span>
+                  {e.method} {e.route} — {e.key_type}{" "}
+                  <span className="font-mono">{e.subject}</span> over{" "}
+                  {e.limit_count}/{e.window_seconds}s
+                </li>
+              ))}
+            </ul>
+          </>
+        ) : (
+          <p className="text-sm text-gray-400">No rate-limited requests.</p>
+        )}
+      </div>
+
+      {/* Menu browser */}
+      <div className="bg-white border border-gray-200 rounded-lg p-5">
+        <h2 className="text-sm font-semibold text-gray-700 mb-4">
+          Menu Browser
+        </h2>
+        <MenuBrowser
+          menus={menus}
+          date={menuDate}
+          onDateChange={setMenuDate}
+          onLoad={loadMenus}
+        />
+      </div>
+    </>
   );
 }
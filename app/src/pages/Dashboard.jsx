@@ -1,50 +1,130 @@
-import { useEffect, useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useEffect, useRef, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
 import AuthGuard from '../components/AuthGuard'
-import WeightChips from '../components/WeightChips'
+import WeightLevels from '../components/WeightLevels'
 import RatingHistory from '../components/RatingHistory'
+import RatingFilters, { EMPTY_RATING_FILTERS } from '../components/RatingFilters'
+import DataImport from '../components/DataImport'
+import IngredientPicker from '../components/IngredientPicker'
+import { errorDetail, errorMessage } from '../lib/api'
 import { supabase } from '../lib/supabase'
+import { useAuth } from '../context/AuthContext'
+import { CUISINES, DIETARY_RESTRICTIONS, FLAVORS, MEAL_BUCKETS, METHODS } from '../../functions/_shared/vocabulary.js'
+import { addDays, todayInCampusTz } from '../../functions/_shared/dates.js'
 
-const CUISINES = ['chinese', 'japanese', 'korean', 'indian', 'mexican', 'italian', 'american', 'mediterranean', 'thai', 'vietnamese']
-const FLAVORS  = ['savory', 'sweet', 'spicy', 'sour', 'umami', 'mild', 'smoky', 'tangy', 'rich', 'fresh']
-const METHODS  = ['fried', 'grilled', 'baked', 'steamed', 'stir-fried', 'roasted', 'braised', 'raw', 'sauteed', 'smoked']
+// Deletes are held client-side this long so they can be undone
+const UNDO_WINDOW_MS = 6000
 
-const DIETARY = [
-  { value: 'vegetarian',   label: 'Vegetarian' },
-  { value: 'vegan',        label: 'Vegan' },
-  { value: 'gluten-free',  label: 'Gluten-free' },
-  { value: 'dairy-free',   label: 'Dairy-free' },
-  { value: 'halal',        label: 'Halal' },
-  { value: 'no-nuts',      label: 'Nut Allergy' },
-  { value: 'no-shellfish', label: 'Shellfish Allergy' },
-]
+const DEFAULT_PAUSE_DAYS = 7
+
+// Campus date, like the paused_until check in /api/profile, so the picker
+// never offers a day the server rejects
+function daysFromToday(days) {
+  return addDays(todayInCampusTz(), days)
+}
+
+// Plain fetch with keepalive so it still goes out when called while the page unloads
+function sendRatingDelete(token, ratingIds) {
+  return fetch('/api/ratings', {
+    method: 'PATCH',
+    keepalive: true,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify({ op: 'delete', rating_ids: ratingIds }),
+  })
+}
+
+// Early onboarding stored cuisine keys capitalized ('Chinese'); the pickers
+// and the API use lowercase
+function lowercaseKeys(weights) {
+  const out = {}
+  for (const [key, weight] of Object.entries(weights || {})) {
+    if (key === key.toLowerCase() || !(key.toLowerCase() in weights)) out[key.toLowerCase()] = weight
+  }
+  return out
+}
+
+function formatResumeDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
 
 export default function Dashboard() {
   return <AuthGuard><DashboardInner /></AuthGuard>
 }
 
 function DashboardInner() {
-  const navigate = useNavigate()
+  const navigate    = useNavigate()
+  const { session, hasRole } = useAuth()
 
   const [profile,    setProfile]    = useState(null)
   const [prefs,      setPrefs]      = useState(null)
-  const [ratings,    setRatings]    = useState([])
   const [loading,    setLoading]    = useState(true)
 
+  // Rating history (paginated + filtered server-side)
+  const [ratings,       setRatings]       = useState([])
+  const [ratingFilters, setRatingFilters] = useState(EMPTY_RATING_FILTERS)
+  const [nextCursor,    setNextCursor]    = useState(null)
+  const [loadingMore,   setLoadingMore]   = useState(false)
+  const ratingsRequest = useRef(0)
+
+  // Deletes waiting out the undo window: { ids, rows, timer }
+  const [pendingDelete, setPendingDelete] = useState(null)
+  const pendingDeleteRef = useRef(null)
+  // Current access token for sends that can't wait for getSession() (page unload)
+  const accessTokenRef = useRef(null)
+
   // Editable preference state
   const [subscribed,      setSubscribed]      = useState(true)
+  const [mealBuckets,     setMealBuckets]     = useState(MEAL_BUCKETS.map(b => b.value))
+  const [emailWeekdays,   setEmailWeekdays]   = useState(true)
+  const [emailWeekends,   setEmailWeekends]   = useState(true)
+  const [pausedUntil,     setPausedUntil]     = useState('')
+  const [pauseDraft,      setPauseDraft]      = useState(null)   // resume date being picked, or null
+  const [pauseError,      setPauseError]      = useState(null)
   const [cuisineWeights,  setCuisineWeights]  = useState({})
   const [flavorWeights,   setFlavorWeights]   = useState({})
   const [methodWeights,   setMethodWeights]   = useState({})
   const [dietary,         setDietary]         = useState([])
+  const [ingredients,     setIngredients]     = useState([])
+  const [avoided,         setAvoided]         = useState([])
 
   const [saving,   setSaving]   = useState(false)
   const [saveMsg,  setSaveMsg]  = useState(null)
 
+  const [deleteEmail, setDeleteEmail] = useState('')
+  const [deleting,    setDeleting]    = useState(false)
+  const [deleteError, setDeleteError] = useState(null)
+
   useEffect(() => {
     loadData()
   }, [])
 
+  useEffect(() => {
+    accessTokenRef.current = session?.access_token ?? null
+  }, [session])
+
+  // Commit any pending delete when leaving the page instead of dropping it.
+  // Reads only refs and sends synchronously: the page is gone before an await resolves.
+  useEffect(() => {
+    function sendOnLeave() {
+      const pending = pendingDeleteRef.current
+      if (!pending) return
+      clearTimeout(pending.timer)
+      pendingDeleteRef.current = null
+      if (accessTokenRef.current) sendRatingDelete(accessTokenRef.current, pending.ids)
+    }
+    window.addEventListener('pagehide', sendOnLeave)
+    return () => {
+      window.removeEventListener('pagehide', sendOnLeave)
+      sendOnLeave()
+    }
+  }, [])
+
+  // Debounced so typing in the search box doesn't fire a request per keystroke
+  useEffect(() => {
+    const t = setTimeout(() => loadRatings(null), 300)
+    return () => clearTimeout(t)
+  }, [ratingFilters])
+
   async function getToken() {
     const { data: { session } } = await supabase.auth.getSession()
     return session?.access_token
@@ -55,31 +135,83 @@ function DashboardInner() {
     const token = await getToken()
     if (!token) { navigate('/'); return }
 
-    const [profileRes, prefsRes, ratingsRes] = await Promise.all([
-      supabase.from('profiles').select('subscribed').single(),
-      supabase.from('user_preferences').select('cuisine_weights, flavor_weights, method_weights, dietary_restrictions').single(),
-      fetch('/api/ratings', { headers: { Authorization: `Bearer ${token}` } }),
+    const [profileRes, prefsRes] = await Promise.all([
+      supabase.from('profiles').select('subscribed, meal_buckets, email_weekdays, email_weekends, paused_until').single(),
+      supabase.from('user_preferences').select('cuisine_weights, flavor_weights, method_weights, dietary_restrictions, initial_ingredients, avoided_ingredients').single(),
     ])
 
     if (profileRes.data) {
       setProfile(profileRes.data)
       setSubscribed(profileRes.data.subscribed)
+      setMealBuckets(profileRes.data.meal_buckets || MEAL_BUCKETS.map(b => b.value))
+      setEmailWeekdays(profileRes.data.email_weekdays)
+      setEmailWeekends(profileRes.data.email_weekends)
+      setPausedUntil(profileRes.data.paused_until || '')
     }
     if (prefsRes.data) {
       setPrefs(prefsRes.data)
-      setCuisineWeights(prefsRes.data.cuisine_weights || {})
-      setFlavorWeights(prefsRes.data.flavor_weights || {})
-      setMethodWeights(prefsRes.data.method_weights || {})
+      setCuisineWeights(lowercaseKeys(prefsRes.data.cuisine_weights))
+      setFlavorWeights(lowercaseKeys(prefsRes.data.flavor_weights))
+      setMethodWeights(lowercaseKeys(prefsRes.data.method_weights))
       setDietary(prefsRes.data.dietary_restrictions || [])
-    }
-    if (ratingsRes.ok) {
-      const data = await ratingsRes.json()
-      setRatings(data || [])
+      setIngredients(prefsRes.data.initial_ingredients || [])
+      setAvoided(prefsRes.data.avoided_ingredients || [])
     }
 
     setLoading(false)
   }
 
+  async function loadRatings(cursor) {
+    const token = await getToken()
+    if (!token) return
+    const requestId = ++ratingsRequest.current
+
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(ratingFilters)) {
+      if (value) params.set(key, value)
+    }
+    if (cursor) params.set('cursor', cursor)
+
+    if (cursor) setLoadingMore(true)
+    try {
+      const res = await fetch(`/api/ratings?${params}`, {
+        headers: { Authorization: `Bearer ${token}` },
+      })
+      // Drop responses superseded by a newer filter change
+      if (!res.ok || requestId !== ratingsRequest.current) return
+      const data = await res.json()
+      setRatings(prev => cursor ? [...prev, ...data.items] : data.items)
+      setNextCursor(data.next_cursor)
+    } finally {
+      if (cursor) setLoadingMore(false)
+    }
+  }
+
+  // Pause / resume take effect immediately rather than waiting for "Save Changes"
+  async function updateSubscription(update) {
+    setPauseError(null)
+    const token = await getToken()
+    if (!token) return
+
+    try {
+      const res = await fetch('/api/profile', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify(update),
+      })
+      if (!res.ok) {
+        const data = await res.json().catch(() => ({}))
+        setPauseError(errorDetail(data) || errorMessage(data, 'Failed to update subscription.'))
+        return
+      }
+      setSubscribed(update.subscribed ?? false)
+      setPausedUntil(update.paused_until || '')
+      setPauseDraft(null)
+    } catch {
+      setPauseError('Failed to update subscription.')
+    }
+  }
+
   async function savePrefs() {
     setSaving(true)
     setSaveMsg(null)
@@ -91,14 +223,23 @@ function DashboardInner() {
         method: 'PATCH',
         headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
         body: JSON.stringify({
-          subscribed,
+          meal_buckets:   mealBuckets,
+          email_weekdays: emailWeekdays,
+          email_weekends: emailWeekends,
           cuisine_weights: cuisineWeights,
           flavor_weights:  flavorWeights,
           method_weights:  methodWeights,
           dietary_restrictions: dietary,
+          initial_ingredients:  ingredients,
+          avoided_ingredients:  avoided,
         }),
       })
-      setSaveMsg(res.ok ? 'Saved!' : 'Failed to save.')
+      if (res.ok) {
+        setSaveMsg('Saved!')
+      } else {
+        const data = await res.json().catch(() => ({}))
+        setSaveMsg(errorDetail(data) ? `Failed to save: ${errorDetail(data)}` : 'Failed to save.')
+      }
     } catch {
       setSaveMsg('Failed to save.')
     } finally {
@@ -106,24 +247,133 @@ function DashboardInner() {
     }
   }
 
-  async function deleteRating(ratingId) {
+  async function updateRating(ratingId, score) {
     const token = await getToken()
     if (!token) return
-    const res = await fetch(`/api/ratings?rating_id=${ratingId}`, {
-      method: 'DELETE',
-      headers: { Authorization: `Bearer ${token}` },
+    const res = await fetch('/api/ratings', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ rating_id: ratingId, score }),
+    })
+    if (res.ok) {
+      const updated = await res.json()
+      setRatings(prev => prev.map(r => r.id === ratingId ? { ...r, ...updated } : r))
+    }
+  }
+
+  async function flipRatings(ratingIds) {
+    const token = await getToken()
+    if (!token) return
+    const res = await fetch('/api/ratings', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ op: 'flip', rating_ids: ratingIds }),
     })
     if (res.ok) {
-      setRatings(prev => prev.filter(r => r.id !== ratingId))
+      const { updated } = await res.json()
+      const byId = Object.fromEntries(updated.map(r => [r.id, r]))
+      setRatings(prev => prev.map(r => byId[r.id] ? { ...r, ...byId[r.id] } : r))
     }
   }
 
+  function deleteRatings(ratingIds) {
+    // Only one undo slot: an earlier pending delete is committed right away
+    flushPendingDelete()
+    const rows  = ratings.filter(r => ratingIds.includes(r.id))
+    const timer = setTimeout(() => commitDelete(ratingIds), UNDO_WINDOW_MS)
+    pendingDeleteRef.current = { ids: ratingIds, rows, timer }
+    setPendingDelete({ ids: ratingIds, rows })
+    setRatings(prev => prev.filter(r => !ratingIds.includes(r.id)))
+  }
+
+  function undoDelete() {
+    const pending = pendingDeleteRef.current
+    if (!pending) return
+    clearTimeout(pending.timer)
+    pendingDeleteRef.current = null
+    setPendingDelete(null)
+    setRatings(prev => [...prev, ...pending.rows].sort((a, b) => b.id - a.id))
+  }
+
+  function flushPendingDelete() {
+    const pending = pendingDeleteRef.current
+    if (!pending) return
+    clearTimeout(pending.timer)
+    commitDelete(pending.ids)
+  }
+
+  function commitDelete(ratingIds) {
+    pendingDeleteRef.current = null
+    setPendingDelete(null)
+    const token = accessTokenRef.current
+    if (!token) return
+    // Resync so the rows reappear if the server refused the delete
+    sendRatingDelete(token, ratingIds)
+      .then(res => { if (!res.ok) loadRatings(null) })
+      .catch(() => loadRatings(null))
+  }
+
+  function toggleMealBucket(val) {
+    setMealBuckets(prev =>
+      prev.includes(val) ? prev.filter(v => v !== val) : [...prev, val]
+    )
+  }
+
   function toggleDietary(val) {
     setDietary(prev =>
       prev.includes(val) ? prev.filter(v => v !== val) : [...prev, val]
     )
   }
 
+  async function downloadExport(format, table) {
+    const token = await getToken()
+    if (!token) return
+    const params = new URLSearchParams({ format })
+    if (table) params.set('table', table)
+    const res = await fetch(`/api/export?${params}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+    if (!res.ok) return
+
+    // Use the server-chosen filename from Content-Disposition
+    const disposition = res.headers.get('Content-Disposition') || ''
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `campus-meal-pick.${format}`
+    const href = URL.createObjectURL(await res.blob())
+    const a = document.createElement('a')
+    a.href = href
+    a.download = filename
+    a.click()
+    URL.revokeObjectURL(href)
+  }
+
+  async function deleteAccount() {
+    setDeleting(true)
+    setDeleteError(null)
+    const token = await getToken()
+    if (!token) {
+      setDeleting(false)
+      setDeleteError('Your session has expired. Sign in again to delete your account.')
+      return
+    }
+    try {
+      const res = await fetch('/api/profile', {
+        method: 'DELETE',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ confirm_email: deleteEmail }),
+      })
+      if (res.ok) {
+        await signOut()
+        return
+      }
+      const data = await res.json().catch(() => ({}))
+      setDeleteError(errorMessage(data, 'Failed to delete account.'))
+    } catch {
+      setDeleteError('Failed to delete account.')
+    } finally {
+      setDeleting(false)
+    }
+  }
+
   async function signOut() {
     await supabase.auth.signOut()
     navigate('/')
@@ -142,12 +392,25 @@ function DashboardInner() {
       <div className="max-w-lg mx-auto">
         <div className="flex justify-between items-center mb-8">
           <h1 className="font-serif text-2xl font-semibold text-cornell-red">Your Dashboard</h1>
-          <button
-            onClick={signOut}
-            className="text-xs text-gray-400 hover:text-gray-600 transition-colors"
-          >
-            Sign out
-          </button>
+          <div className="flex items-center gap-4">
+            <Link to="/today" className="text-xs text-cornell-red hover:underline">
+              Today's picks
+            </Link>
+            <Link to="/menu" className="text-xs text-cornell-red hover:underline">
+              Menus
+            </Link>
+            {hasRole('analyst') && (
+              <Link to="/admin" className="text-xs text-cornell-red hover:underline">
+                Admin
+              </Link>
+            )}
+            <button
+              onClick={signOut}
+              className="text-xs text-gray-400 hover:text-gray-600 transition-colors"
+            >
+              Sign out
+            </button>
+          </div>
         </div>
 
         {/* Subscription toggle */}
@@ -156,37 +419,115 @@ function DashboardInner() {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm font-medium text-gray-800">
-                {subscribed ? '✅ Subscribed' : '⏸️ Paused'}
+                {subscribed
+                  ? '✅ Subscribed'
+                  : pausedUntil ? `⏸️ Paused until ${formatResumeDate(pausedUntil)}` : '⏸️ Paused'}
               </p>
               <p className="text-xs text-gray-400 mt-0.5">
-                {subscribed ? 'You receive daily dining picks.' : 'Daily emails are paused.'}
+                {subscribed
+                  ? 'You receive daily dining picks.'
+                  : pausedUntil ? 'Daily emails resume automatically on that day.' : 'Daily emails are paused.'}
               </p>
             </div>
-            <button
-              onClick={() => setSubscribed(s => !s)}
-              className={`px-4 py-2 text-sm font-semibold rounded border transition-all ${
-                subscribed
-                  ? 'border-gray-300 text-gray-600 hover:border-red-400 hover:text-red-600'
-                  : 'border-cornell-red text-cornell-red hover:bg-cornell-red hover:text-white'
-              }`}
-            >
-              {subscribed ? 'Pause' : 'Resume'}
-            </button>
+            {subscribed ? (
+              pauseDraft === null && (
+                <button
+                  onClick={() => setPauseDraft(daysFromToday(DEFAULT_PAUSE_DAYS))}
+                  className="px-4 py-2 text-sm font-semibold rounded border transition-all border-gray-300 text-gray-600 hover:border-red-400 hover:text-red-600"
+                >
+                  Pause
+                </button>
+              )
+            ) : (
+              <button
+                onClick={() => updateSubscription({ subscribed: true })}
+                className="px-4 py-2 text-sm font-semibold rounded border transition-all border-cornell-red text-cornell-red hover:bg-cornell-red hover:text-white"
+              >
+                Resume
+              </button>
+            )}
           </div>
+
+          {pauseDraft !== null && (
+            <div className="mt-3 flex flex-wrap items-center gap-2 text-sm text-gray-700">
+              <span>Resume on</span>
+              <input
+                type="date"
+                value={pauseDraft}
+                min={daysFromToday(1)}
+                onChange={e => setPauseDraft(e.target.value)}
+                className="border border-gray-300 rounded px-2 py-1 text-xs"
+              />
+              <button
+                onClick={() => updateSubscription({ subscribed: false, paused_until: pauseDraft || null })}
+                className="px-3 py-1 text-xs font-semibold rounded bg-cornell-red text-white hover:bg-red-800"
+              >
+                {pauseDraft ? 'Pause' : 'Pause indefinitely'}
+              </button>
+              <button onClick={() => setPauseDraft(null)} className="text-xs text-gray-500 hover:underline">
+                Cancel
+              </button>
+            </div>
+          )}
+          {pauseError && <p className="mt-2 text-xs text-red-600">{pauseError}</p>}
+
+          {subscribed && (
+            <div className="mt-4 pt-4 border-t border-gray-100 space-y-3">
+              <div>
+                <h3 className="text-xs font-semibold text-gray-500 mb-1.5">Meals in my email</h3>
+                <div className="flex flex-wrap gap-2">
+                  {MEAL_BUCKETS.map(b => (
+                    <button
+                      key={b.value}
+                      type="button"
+                      onClick={() => toggleMealBucket(b.value)}
+                      className={`px-3 py-1 text-sm rounded-full border transition-all ${
+                        mealBuckets.includes(b.value)
+                          ? 'bg-cornell-red text-white border-cornell-red'
+                          : 'bg-white text-gray-600 border-gray-300 hover:border-cornell-red'
+                      }`}
+                    >
+                      {b.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+                <label className="flex items-center gap-1.5">
+                  <input type="checkbox" checked={emailWeekdays} onChange={e => setEmailWeekdays(e.target.checked)} className="accent-cornell-red" />
+                  Weekdays
+                </label>
+                <label className="flex items-center gap-1.5">
+                  <input type="checkbox" checked={emailWeekends} onChange={e => setEmailWeekends(e.target.checked)} className="accent-cornell-red" />
+                  Weekends
+                </label>
+              </div>
+              <p className="text-xs text-gray-400">Schedule changes apply when you save below.</p>
+            </div>
+          )}
         </section>
 
         {/* Taste preferences */}
         <section className="mb-8 p-5 border border-gray-200 rounded-lg">
           <h2 className="text-sm font-semibold text-gray-700 mb-4">Taste Preferences</h2>
 
-          <WeightChips label="Cuisines" options={CUISINES} value={cuisineWeights} onChange={setCuisineWeights} />
-          <WeightChips label="Flavors"  options={FLAVORS}  value={flavorWeights}  onChange={setFlavorWeights} />
-          <WeightChips label="Cooking styles" options={METHODS} value={methodWeights} onChange={setMethodWeights} />
+          <WeightLevels label="Cuisines" options={CUISINES} value={cuisineWeights} onChange={setCuisineWeights} />
+          <WeightLevels label="Flavors"  options={FLAVORS}  value={flavorWeights}  onChange={setFlavorWeights} />
+          <WeightLevels label="Cooking styles" options={METHODS} value={methodWeights} onChange={setMethodWeights} />
+
+          <IngredientPicker label="Ingredients you love" value={ingredients} exclude={avoided} onChange={setIngredients} />
+          <IngredientPicker
+            label="Ingredients to avoid"
+            hint="Dishes containing these are never recommended."
+            value={avoided}
+            exclude={ingredients}
+            onChange={setAvoided}
+          />
 
           <div className="mt-2">
             <h3 className="text-sm font-semibold text-cornell-red mb-2">Dietary restrictions</h3>
             <div className="flex flex-wrap gap-2">
-              {DIETARY.map(d => (
+              {DIETARY_RESTRICTIONS.map(d => (
                 <button
                   key={d.value}
                   type="button"
@@ -222,8 +563,85 @@ function DashboardInner() {
         {/* Rating history */}
         <section className="mb-8 p-5 border border-gray-200 rounded-lg">
           <h2 className="text-sm font-semibold text-gray-700 mb-4">Rating History</h2>
-          <RatingHistory ratings={ratings} onDelete={deleteRating} />
+          <RatingFilters value={ratingFilters} cuisines={CUISINES} onChange={setRatingFilters} />
+          <RatingHistory
+            ratings={ratings}
+            filtered={Object.values(ratingFilters).some(Boolean)}
+            hasMore={nextCursor !== null}
+            loadingMore={loadingMore}
+            onLoadMore={() => loadRatings(nextCursor)}
+            onUpdate={updateRating}
+            onDelete={deleteRatings}
+            onBulkFlip={flipRatings}
+          />
         </section>
+
+        {/* Data export */}
+        <section className="mb-8 p-5 border border-gray-200 rounded-lg">
+          <h2 className="text-sm font-semibold text-gray-700 mb-1">Your Data</h2>
+          <p className="text-xs text-gray-400 mb-3">
+            Download your profile, taste preferences and full rating history.
+          </p>
+          <div className="flex flex-wrap items-center gap-4">
+            <button
+              onClick={() => downloadExport('json')}
+              className="px-4 py-2 text-sm font-semibold rounded border border-cornell-red text-cornell-red hover:bg-cornell-red hover:text-white transition-all"
+            >
+              Download my data
+            </button>
+            <span className="text-xs text-gray-400">
+              CSV:{' '}
+              {['profile', 'preferences', 'ratings'].map((table, i) => (
+                <span key={table}>
+                  {i > 0 && ' · '}
+                  <button onClick={() => downloadExport('csv', table)} className="text-cornell-red hover:underline">
+                    {table}
+                  </button>
+                </span>
+              ))}
+            </span>
+          </div>
+          <div className="mt-3">
+            <DataImport onImported={() => { loadData(); loadRatings(null) }} />
+          </div>
+        </section>
+
+        {/* Danger zone */}
+        <section className="mb-8 p-5 border border-red-200 rounded-lg">
+          <h2 className="text-sm font-semibold text-red-700 mb-1">Danger Zone</h2>
+          <p className="text-xs text-gray-500 mb-3">
+            Permanently delete your account, preferences and rating history. This can't be undone —
+            download your data first if you want to keep it.
+          </p>
+          <div className="flex flex-wrap items-center gap-3">
+            <input
+              type="email"
+              placeholder="Type your email to confirm"
+              value={deleteEmail}
+              onChange={e => setDeleteEmail(e.target.value)}
+              className="flex-1 min-w-[200px] border border-gray-300 rounded px-3 py-1.5 text-sm"
+            />
+            <button
+              onClick={deleteAccount}
+              disabled={deleting || !deleteEmail}
+              className="px-4 py-2 text-sm font-semibold rounded border border-red-600 text-red-600 hover:bg-red-600 hover:text-white transition-all disabled:opacity-50"
+            >
+              {deleting ? 'Deleting…' : 'Delete my account'}
+            </button>
+          </div>
+          {deleteError && <p className="text-sm text-red-600 mt-2">{deleteError}</p>}
+        </section>
+
+        {pendingDelete && (
+          <div className="fixed bottom-5 left-1/2 -translate-x-1/2 flex items-center gap-4 px-4 py-2.5 bg-gray-800 text-white text-sm rounded shadow-lg">
+            <span>
+              Deleted {pendingDelete.ids.length} rating{pendingDelete.ids.length !== 1 ? 's' : ''}
+            </span>
+            <button onClick={undoDelete} className="font-semibold text-red-300 hover:text-red-200">
+              Undo
+            </button>
+          </div>
+        )}
       </div>
     </div>
   )
@@ -0,0 +1,81 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import AuthGuard from '../components/AuthGuard'
+import MenuBrowser from '../components/MenuBrowser'
+import { supabase } from '../lib/supabase'
+
+export default function Menu() {
+  return <AuthGuard><MenuInner /></AuthGuard>
+}
+
+function MenuInner() {
+  const navigate = useNavigate()
+
+  const [menus,    setMenus]    = useState(null)
+  const [menuDate, setMenuDate] = useState(
+    new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+  )
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    loadMenus()
+  }, [])
+
+  async function getToken() {
+    const { data: { session } } = await supabase.auth.getSession()
+    return session?.access_token
+  }
+
+  async function loadMenus() {
+    const token = await getToken()
+    if (!token) { navigate('/'); return }
+    const res = await fetch(`/api/menus?date=${menuDate}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    })
+    if (res.ok) {
+      setMenus(await res.json())
+      setError(null)
+    } else {
+      setError('Failed to load menu.')
+    }
+  }
+
+  async function rate(entry, score) {
+    const token = await getToken()
+    if (!token) return
+    const res = await fetch('/api/ratings', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ menu_id: entry.id, score }),
+    })
+    if (res.ok) {
+      // A rating is per dish per day, so update every station serving it
+      setMenus(prev => prev.map(m => m.dish_id === entry.dish_id ? { ...m, my_score: score } : m))
+      setError(null)
+    } else {
+      setError('Failed to save rating.')
+    }
+  }
+
+  return (
+    <div className="min-h-screen bg-white py-10 px-5">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="font-serif text-2xl font-semibold text-cornell-red">Menus</h1>
+          <Link to="/dashboard" className="text-xs text-gray-400 hover:text-gray-600 transition-colors">
+            Dashboard
+          </Link>
+        </div>
+        <p className="text-xs text-gray-400 mb-4">Rate dishes with 😍 / 🙂 / 👎 to improve your recommendations.</p>
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+        <MenuBrowser
+          menus={menus}
+          date={menuDate}
+          onDateChange={setMenuDate}
+          onLoad={loadMenus}
+          onRate={rate}
+        />
+      </div>
+    </div>
+  )
+}
@@ -1,30 +1,13 @@
 import { useEffect, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import AuthGuard from '../components/AuthGuard'
-import WeightChips from '../components/WeightChips'
+import WeightLevels from '../components/WeightLevels'
 import DishSliders from '../components/DishSliders'
+import DataImport from '../components/DataImport'
+import IngredientPicker from '../components/IngredientPicker'
+import { errorMessage } from '../lib/api'
 import { supabase } from '../lib/supabase'
-
-const CUISINES = ['Chinese', 'Japanese', 'Korean', 'Indian', 'Mexican', 'Italian', 'American', 'Mediterranean', 'Thai', 'Vietnamese']
-const FLAVORS  = ['savory', 'sweet', 'spicy', 'sour', 'umami', 'mild', 'smoky', 'tangy', 'rich', 'fresh']
-const METHODS  = ['fried', 'grilled', 'baked', 'steamed', 'stir-fried', 'roasted', 'braised', 'raw', 'sauteed', 'smoked']
-
-const INGREDIENT_GROUPS = [
-  { label: 'Proteins',          items: ['chicken', 'beef', 'pork', 'tofu', 'shrimp', 'fish', 'eggs', 'lamb'] },
-  { label: 'Grains & Starches', items: ['rice', 'noodles', 'pasta', 'bread', 'potato'] },
-  { label: 'Produce',           items: ['vegetables', 'mushrooms', 'broccoli', 'spinach', 'corn', 'tomato'] },
-  { label: 'Dairy & Other',     items: ['cheese', 'beans', 'lentils', 'onion', 'garlic'] },
-]
-
-const DIETARY = [
-  { value: 'vegetarian',  label: 'Vegetarian' },
-  { value: 'vegan',       label: 'Vegan' },
-  { value: 'gluten-free', label: 'Gluten-free' },
-  { value: 'dairy-free',  label: 'Dairy-free' },
-  { value: 'halal',       label: 'Halal' },
-  { value: 'no-nuts',     label: 'Nut Allergy' },
-  { value: 'no-shellfish',label: 'Shellfish Allergy' },
-]
+import { CUISINES, DIETARY_RESTRICTIONS, FLAVORS, METHODS } from '../../functions/_shared/vocabulary.js'
 
 export default function Onboarding() {
   return <AuthGuard><OnboardingInner /></AuthGuard>
@@ -37,6 +20,7 @@ function OnboardingInner() {
   const [flavorWeights,  setFlavorWeights]  = useState({})
   const [methodWeights,  setMethodWeights]  = useState({})
   const [ingredients,    setIngredients]    = useState([])
+  const [avoided,        setAvoided]        = useState([])
   const [dietary,        setDietary]        = useState([])
 
   const [dishes,      setDishes]  = useState([])
@@ -61,12 +45,6 @@ function OnboardingInner() {
     loadDishes()
   }, [])
 
-  function toggleIngredient(item) {
-    setIngredients(prev =>
-      prev.includes(item) ? prev.filter(i => i !== item) : [...prev, item]
-    )
-  }
-
   function toggleDietary(val) {
     setDietary(prev =>
       prev.includes(val) ? prev.filter(v => v !== val) : [...prev, val]
@@ -102,6 +80,7 @@ function OnboardingInner() {
           flavor_weights:  flavorWeights,
           method_weights:  methodWeights,
           ingredients,
+          avoided_ingredients: avoided,
           dietary_restrictions: dietary,
           dish_ratings: dishRatingsList,
         }),
@@ -110,7 +89,7 @@ function OnboardingInner() {
         setDone(true)
       } else {
         const data = await res.json().catch(() => ({}))
-        setError(data.error || 'Failed to save. Please try again.')
+        setError(errorMessage(data, 'Failed to save. Please try again.'))
       }
     } catch {
       setError('Failed to save. Please try again.')
@@ -152,22 +131,25 @@ function OnboardingInner() {
           </div>
           <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-2">You're Subscribed!</h1>
           <p className="text-gray-500">Tell us what you like so we can personalize your picks.</p>
+          <div className="mt-3">
+            <DataImport onImported={() => navigate('/dashboard')} />
+          </div>
         </div>
 
         <form onSubmit={handleSubmit} className="space-y-2">
-          <WeightChips
+          <WeightLevels
             label="Cuisines you enjoy"
-            options={CUISINES.map(c => c.toLowerCase())}
+            options={CUISINES}
             value={cuisineWeights}
             onChange={setCuisineWeights}
           />
-          <WeightChips
+          <WeightLevels
             label="Flavors you enjoy"
             options={FLAVORS}
             value={flavorWeights}
             onChange={setFlavorWeights}
           />
-          <WeightChips
+          <WeightLevels
             label="Cooking styles you prefer"
             options={METHODS}
             value={methodWeights}
@@ -175,37 +157,26 @@ function OnboardingInner() {
           />
 
           {/* Ingredients */}
-          <div className="mb-4">
-            <h3 className="text-sm font-semibold text-cornell-red mb-1">Ingredients you love</h3>
-            <p className="text-xs text-gray-400 mb-2">Pick any ingredients you enjoy — this gives us the strongest signal for your taste.</p>
-            {INGREDIENT_GROUPS.map(g => (
-              <div key={g.label}>
-                <p className="text-xs text-gray-500 font-semibold mt-3 mb-1.5">{g.label}</p>
-                <div className="flex flex-wrap gap-2">
-                  {g.items.map(item => (
-                    <button
-                      key={item}
-                      type="button"
-                      onClick={() => toggleIngredient(item)}
-                      className={`px-3 py-1.5 text-sm rounded-full border transition-all ${
-                        ingredients.includes(item)
-                          ? 'bg-cornell-red text-white border-cornell-red'
-                          : 'bg-white text-gray-600 border-gray-300 hover:border-cornell-red'
-                      }`}
-                    >
-                      {item}
-                    </button>
-                  ))}
-                </div>
-              </div>
-            ))}
-          </div>
+          <IngredientPicker
+            label="Ingredients you love"
+            hint="Pick any ingredients you enjoy — this gives us the strongest signal for your taste."
+            value={ingredients}
+            exclude={avoided}
+            onChange={setIngredients}
+          />
+          <IngredientPicker
+            label="Ingredients to avoid"
+            hint="Dishes containing these are never recommended."
+            value={avoided}
+            exclude={ingredients}
+            onChange={setAvoided}
+          />
 
           {/* Dietary */}
           <div className="mb-4">
             <h3 className="text-sm font-semibold text-cornell-red mb-2">Dietary restrictions</h3>
             <div className="flex flex-wrap gap-2">
-              {DIETARY.map(d => (
+              {DIETARY_RESTRICTIONS.map(d => (
                 <button
                   key={d.value}
                   type="button"
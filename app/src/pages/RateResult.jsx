@@ -1,19 +1,22 @@
 import { useSearchParams } from 'react-router-dom'
+import { RATING_LEVELS } from '../lib/ratings'
 
 export default function RateResult() {
   const [params] = useSearchParams()
-  const status = params.get('status')   // 'liked' | 'disliked' | 'error'
+  const status = params.get('status')   // 'pending' | 'liked' | 'disliked' | 'error'
   const dish   = params.get('dish') || 'this dish'
   const msg    = params.get('msg')
+  const score  = params.get('score')
 
-  const isError   = status === 'error'
-  const isLiked   = status === 'liked'
+  const isError    = status === 'error'
+  const isPending  = status === 'pending'
+  const isLiked    = status === 'liked'
   const isDisliked = status === 'disliked'
 
   return (
     <div className="min-h-screen flex flex-col items-center justify-center p-5 bg-white">
       <div className="max-w-sm w-full text-center">
-        <div className="text-cornell-red mb-6">
+        {!isPending && <div className="text-cornell-red mb-6">
           {isError ? (
             <svg className="w-8 h-8 mx-auto" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M6 18L18 6M6 6l12 12" />
@@ -23,8 +26,9 @@ export default function RateResult() {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M5 13l4 4L19 7" />
             </svg>
           )}
-        </div>
+        </div>}
 
+        {isPending && <ConfirmRating params={params} dish={dish} score={Number(score)} />}
         {isError && (
           <>
             <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-4">
@@ -39,6 +43,7 @@ export default function RateResult() {
             <p className="text-gray-500">
               Glad you liked <strong>{dish}</strong>! We'll recommend more like it.
             </p>
+            {score && <p className="text-xs text-gray-400 mt-2">Saved as {score}/10.</p>}
           </>
         )}
         {isDisliked && (
@@ -47,6 +52,7 @@ export default function RateResult() {
             <p className="text-gray-500">
               Got it — we'll show less of <strong>{dish}</strong> in the future.
             </p>
+            {score && <p className="text-xs text-gray-400 mt-2">Saved as {score}/10.</p>}
           </>
         )}
         {!status && (
@@ -61,3 +67,47 @@ export default function RateResult() {
     </div>
   )
 }
+
+/**
+ * Confirmation step: the email link only opens this page; the rating is
+ * saved by a form POST so link scanners can't cast it. The level picked in
+ * the email is highlighted, but any level can be submitted.
+ */
+function ConfirmRating({ params, dish, score }) {
+  return (
+    <>
+      <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-2">How was it?</h1>
+      <p className="text-gray-500 mb-6">
+        Rate <strong>{dish}</strong> from {formatDate(params.get('date'))}.
+      </p>
+
+      <form method="POST" action="/api/rate" className="flex flex-col gap-2">
+        <input type="hidden" name="email"   value={params.get('email')   || ''} />
+        <input type="hidden" name="token"   value={params.get('token')   || ''} />
+        <input type="hidden" name="menu_id" value={params.get('menu_id') || ''} />
+        <input type="hidden" name="date"    value={params.get('date')    || ''} />
+        {RATING_LEVELS.map(level => (
+          <button
+            key={level.score}
+            type="submit"
+            name="score"
+            value={level.score}
+            autoFocus={level.score === score}
+            className={`w-full px-4 py-2.5 text-sm font-semibold rounded border transition-all ${
+              level.score === score
+                ? 'bg-cornell-red text-white border-cornell-red hover:bg-red-800'
+                : 'bg-white text-gray-600 border-gray-300 hover:border-cornell-red'
+            }`}
+          >
+            {level.icon} {level.label}
+          </button>
+        ))}
+      </form>
+    </>
+  )
+}
+
+function formatDate(dateStr) {
+  if (!dateStr) return 'today'
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
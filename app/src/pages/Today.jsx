@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react'
+import { Link, useNavigate } from 'react-router-dom'
+import AuthGuard from '../components/AuthGuard'
+import { errorMessage } from '../lib/api'
+import { supabase } from '../lib/supabase'
+
+const BUCKET_ORDER = ['breakfast_brunch', 'lunch', 'dinner']
+const BUCKET_LABEL = {
+  breakfast_brunch: 'Breakfast / Brunch',
+  lunch: 'Lunch',
+  dinner: 'Dinner',
+}
+
+function localDateStr() {
+  return new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' })
+}
+
+export default function Today() {
+  return <AuthGuard><TodayInner /></AuthGuard>
+}
+
+function TodayInner() {
+  const navigate = useNavigate()
+
+  const [date,    setDate]    = useState(localDateStr())
+  const [recs,    setRecs]    = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error,   setError]   = useState(null)
+
+  useEffect(() => {
+    loadRecs(date)
+  }, [date])
+
+  async function loadRecs(d) {
+    setLoading(true)
+    setError(null)
+    const { data: { session } } = await supabase.auth.getSession()
+    if (!session) { navigate('/'); return }
+
+    try {
+      const res = await fetch(`/api/recommendations?date=${d}`, {
+        headers: { Authorization: `Bearer ${session.access_token}` },
+      })
+      if (res.ok) {
+        setRecs(await res.json())
+      } else {
+        const data = await res.json().catch(() => ({}))
+        setError(errorMessage(data, 'Failed to load picks.'))
+      }
+    } catch {
+      setError('Failed to load picks.')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const hasPicks = recs && BUCKET_ORDER.some(b => recs.buckets?.[b]?.picks?.length > 0)
+
+  return (
+    <div className="min-h-screen bg-white py-10 px-5">
+      <div className="max-w-lg mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="font-serif text-2xl font-semibold text-cornell-red">Today's Picks</h1>
+          <Link to="/dashboard" className="text-xs text-gray-400 hover:text-gray-600 transition-colors">
+            Dashboard
+          </Link>
+        </div>
+
+        <div className="mb-6">
+          <input
+            type="date"
+            value={date}
+            onChange={e => e.target.value && setDate(e.target.value)}
+            className="border border-gray-300 rounded px-3 py-1.5 text-sm"
+          />
+          {recs && !recs.personalized && (
+            <p className="text-xs text-gray-400 mt-2">
+              Your taste profile hasn't been computed yet — these picks use your cuisine &amp; flavor choices only.
+            </p>
+          )}
+        </div>
+
+        {loading && <p className="text-sm text-gray-400">Loading…</p>}
+        {!loading && error && <p className="text-sm text-red-600">{error}</p>}
+        {!loading && !error && !hasPicks && (
+          <p className="text-sm text-gray-400">No menu data for {date} yet.</p>
+        )}
+
+        {!loading && !error && hasPicks && BUCKET_ORDER.map(bucket => {
+          const picks = recs.buckets[bucket]?.picks || []
+          return (
+            <section key={bucket} className="mb-8">
+              <h2 className="font-serif text-lg text-cornell-red font-semibold mb-3 pb-1 border-b border-gray-200">
+                {BUCKET_LABEL[bucket]}
+              </h2>
+              {picks.length === 0 ? (
+                <p className="text-sm text-gray-400">No recommendation (no matching menu found).</p>
+              ) : (
+                picks.map((p, i) => (
+                  <div key={p.eatery} className="mb-4">
+                    <div className="flex items-center gap-1.5 text-sm font-semibold text-gray-800 mb-1">
+                      <span className="text-xs text-cornell-red bg-red-50 px-1.5 py-0.5 rounded">#{i + 1}</span>
+                      {p.eatery}
+                    </div>
+                    <ul className="text-xs text-gray-500 space-y-0.5 pl-0 list-none">
+                      {p.dishes.map(d => (
+                        <li
+                          key={d.menu_id}
+                          className="pl-3 relative before:content-['•'] before:absolute before:left-0 before:text-gray-300"
+                        >
+                          {d.name}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                ))
+              )}
+            </section>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
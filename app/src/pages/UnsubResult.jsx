@@ -1,17 +1,19 @@
 import { useSearchParams } from 'react-router-dom'
+import { UNSUBSCRIBE_REASONS } from '../../functions/_shared/vocabulary.js'
 
 export default function UnsubResult() {
   const [params] = useSearchParams()
-  const status = params.get('status')  // 'success' | 'error'
+  const status = params.get('status')  // 'confirm' | 'success' | 'paused' | 'resubscribed' | 'error'
   const msg    = params.get('msg')
+  const email  = params.get('email')
 
-  const isSuccess = status === 'success'
+  const isError = !['confirm', 'success', 'paused', 'resubscribed'].includes(status)
 
   return (
     <div className="min-h-screen flex flex-col items-center justify-center p-5 bg-white">
       <div className="max-w-sm w-full text-center">
         <div className="text-cornell-red mb-6">
-          {isSuccess ? (
+          {!isError ? (
             <svg className="w-8 h-8 mx-auto" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M5 13l4 4L19 7" />
             </svg>
@@ -22,12 +24,38 @@ export default function UnsubResult() {
           )}
         </div>
 
-        {isSuccess ? (
+        {status === 'confirm' ? (
+          <ConfirmUnsubscribe email={email} token={params.get('token')} pauseToken={params.get('pause_token')} />
+        ) : status === 'paused' ? (
+          <>
+            <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-4">Paused</h1>
+            <p className="text-gray-500">
+              No dining picks until {params.get('until') ? formatDate(params.get('until')) : 'next week'} — your emails resume automatically then.
+            </p>
+          </>
+        ) : status === 'resubscribed' ? (
+          <>
+            <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-4">Welcome back!</h1>
+            <p className="text-gray-500">Your daily dining picks will start again with the next email.</p>
+          </>
+        ) : status === 'success' ? (
           <>
             <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-4">Unsubscribed</h1>
             <p className="text-gray-500">
               You've been removed from the daily dining picks. You can re-subscribe anytime by signing in again!
             </p>
+            {email && params.get('resubscribe_token') && (
+              <form method="POST" action="/api/resubscribe" className="mt-6">
+                <input type="hidden" name="email" value={email} />
+                <input type="hidden" name="token" value={params.get('resubscribe_token')} />
+                <button
+                  type="submit"
+                  className="px-4 py-2 text-sm font-semibold rounded border border-cornell-red text-cornell-red hover:bg-cornell-red hover:text-white transition-all"
+                >
+                  Changed your mind? Resubscribe
+                </button>
+              </form>
+            )}
           </>
         ) : (
           <>
@@ -43,3 +71,61 @@ export default function UnsubResult() {
     </div>
   )
 }
+
+/**
+ * Confirmation step: the email link only opens this page; the unsubscribe
+ * itself is a form POST so link scanners can't trigger it.
+ */
+function ConfirmUnsubscribe({ email, token, pauseToken }) {
+  return (
+    <>
+      <h1 className="font-serif text-2xl font-semibold text-cornell-red mb-2">Unsubscribe?</h1>
+      <p className="text-gray-500 mb-6">
+        <span className="font-medium text-gray-700">{email}</span> will stop receiving daily dining picks.
+      </p>
+
+      <form method="POST" action="/api/unsubscribe" className="text-left space-y-3">
+        <input type="hidden" name="email" value={email || ''} />
+        <input type="hidden" name="token" value={token || ''} />
+        <label className="block text-sm text-gray-600">
+          Mind telling us why? <span className="text-gray-400">(optional)</span>
+          <select name="reason" defaultValue="" className="mt-1 w-full border border-gray-300 rounded px-2 py-1.5 text-sm">
+            <option value="">Prefer not to say</option>
+            {UNSUBSCRIBE_REASONS.map(r => <option key={r.value} value={r.value}>{r.label}</option>)}
+          </select>
+        </label>
+        <textarea
+          name="comment"
+          maxLength={500}
+          rows={2}
+          placeholder="Anything else? (optional)"
+          className="w-full border border-gray-300 rounded px-2 py-1.5 text-sm"
+        />
+        <button
+          type="submit"
+          className="w-full px-4 py-2.5 bg-cornell-red text-white text-sm font-semibold uppercase tracking-wide rounded hover:bg-red-800 transition-all"
+        >
+          Unsubscribe
+        </button>
+      </form>
+
+      {pauseToken && (
+        <form method="POST" action="/api/pause" className="mt-4">
+          <input type="hidden" name="email" value={email || ''} />
+          <input type="hidden" name="token" value={pauseToken} />
+          <p className="text-sm text-gray-500 mb-2">Just taking a break?</p>
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm font-semibold rounded border border-cornell-red text-cornell-red hover:bg-cornell-red hover:text-white transition-all"
+          >
+            Pause for a week instead
+          </button>
+        </form>
+      )}
+    </>
+  )
+}
+
+function formatDate(dateStr) {
+  return new Date(`${dateStr}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+}
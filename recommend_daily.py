@@ -3,14 +3,15 @@ import hashlib
 import hmac
 import os
 import sys
+import time
 import json
 import re
 import smtplib
 from dataclasses import dataclass
-from datetime import datetime
+from datetime import date, datetime
 from email.message import EmailMessage
 from html import escape
-from typing import Any, Dict, List, Tuple
+from typing import Any, Dict, List, Optional, Tuple
 from urllib.parse import quote
 
 from dotenv import load_dotenv
@@ -268,9 +269,66 @@ def sanitize_result(
     return result
 
 
-def generate_unsub_token(email: str, secret: str) -> str:
-    """Generate an HMAC-SHA256 token for unsubscribe links."""
-    return hmac.new(secret.encode(), email.lower().encode(), hashlib.sha256).hexdigest()
+# Graded quick-rating links: (score 1-10, icon, title). Scores use the same
+# scale as the onboarding sliders and app/src/lib/ratings.js.
+RATING_LINK_LEVELS = [
+    (10, "&#128525;", "Love it"),
+    (7, "&#128578;", "Fine"),
+    (1, "&#128078;", "Not for me"),
+]
+
+# Lifetime of signed action links in the daily email
+RATE_TOKEN_TTL = 14 * 24 * 60 * 60
+UNSUB_TOKEN_TTL = 90 * 24 * 60 * 60
+
+# Same bound as MAX_ABS_WEIGHT in app/functions/_shared/validation.js
+MAX_ABS_WEIGHT = 100.0
+
+
+def keep_manual_overrides(
+    attrs: Dict[str, Any], existing: Optional[Dict[str, Any]]
+) -> Dict[str, Any]:
+    """Replace freshly extracted attributes with the stored values for every
+    field an admin corrected (dishes.manual_overrides), so the embedding is
+    computed from the corrected ingredients and the correction survives."""
+    if not existing:
+        return attrs
+    merged = dict(attrs)
+    for field in existing.get("manual_overrides", []):
+        if field in existing:
+            merged[field] = existing[field]
+    return merged
+
+
+def generate_action_token(
+    secret: str, action: str, email: str, scope: str = "", ttl_seconds: int = RATE_TOKEN_TTL
+) -> str:
+    """Generate a versioned, expiring HMAC token for an email action link.
+
+    Format: "v2.<exp>.<sig>" with sig = HMAC-SHA256 over
+    "v2|<action>|<email>|<scope>|<exp>". Must stay in sync with
+    app/functions/_shared/hmac.js.
+    """
+    exp = int(time.time()) + ttl_seconds
+    payload = "|".join(["v2", action, email.lower(), scope, str(exp)])
+    sig = hmac.new(secret.encode(), payload.encode(), hashlib.sha256).hexdigest()
+    return f"v2.{exp}.{sig}"
+
+
+def wants_email_on(user: Dict[str, Any], day: date) -> bool:
+    """Apply the profile's delivery schedule (weekday/weekend opt-in, pause).
+
+    paused_until is the resume date: the first day that gets email again, so
+    the pause covers the days before it. Paused profiles are normally
+    unsubscribed until /api/cron/resume-subscriptions flips them back, so this
+    only matters if that job has not run yet.
+    """
+    paused_until = user.get("paused_until")
+    if paused_until and day < date.fromisoformat(paused_until):
+        return False
+    if day.weekday() >= 5:
+        return user.get("email_weekends", True)
+    return user.get("email_weekdays", True)
 
 
 def build_email(
@@ -280,9 +338,10 @@ def build_email(
     unsubscribe_url: str = "",
     rating_base_url: str = "",
     recipient_email: str = "",
-    recipient_token: str = "",
+    hmac_secret: str = "",
     daily_menu_lookup: Dict[int, Dict] = None,
     date_str_iso: str = "",
+    meal_buckets: Optional[List[str]] = None,
 ) -> Tuple[str, str]:
     date_str = local_dt.strftime("%a, %b %d, %Y")
     subject = f"CMP — West Campus Dining Picks — {date_str}"
@@ -305,9 +364,11 @@ def build_email(
         ("Lunch", "lunch"),
         ("Dinner", "dinner"),
     ]
+    if meal_buckets:
+        meal_labels = [(title, key) for title, key in meal_labels if key in meal_buckets]
 
     def _rating_links(dish_name: str, eatery: str, bucket: str) -> str:
-        if not rating_base_url or not recipient_email or not recipient_token or not daily_menu_lookup:
+        if not rating_base_url or not recipient_email or not hmac_secret or not daily_menu_lookup:
             return ""
         from food_embeddings import normalize_dish_name
         norm = normalize_dish_name(dish_name)
@@ -315,16 +376,18 @@ def build_email(
         menu_id = menu_id_lookup.get(key)
         if not menu_id:
             return ""
+        token = generate_action_token(
+            hmac_secret, "rate", recipient_email, f"{menu_id}|{date_str_iso}", RATE_TOKEN_TTL
+        )
         base = (
             f"{rating_base_url}/api/rate"
-            f"?email={quote(recipient_email)}&token={recipient_token}"
+            f"?email={quote(recipient_email)}&token={token}"
             f"&menu_id={menu_id}&date={date_str_iso}"
         )
-        return (
-            f' <a href="{escape(base + "&rating=up")}" '
-            f'style="text-decoration:none;font-size:14px;" title="I like this">&#128077;</a>'
-            f' <a href="{escape(base + "&rating=down")}" '
-            f'style="text-decoration:none;font-size:14px;" title="Not for me">&#128078;</a>'
+        return "".join(
+            f' <a href="{escape(f"{base}&score={score}")}" '
+            f'style="text-decoration:none;font-size:14px;" title="{title}">{icon}</a>'
+            for score, icon, title in RATING_LINK_LEVELS
         )
 
     def _pick_html(rank: int, pick: Dict[str, Any], bucket: str) -> str:
@@ -383,7 +446,7 @@ def build_email(
 
     rating_hint = ""
     if rating_base_url:
-        rating_hint = '<p style="font-size:11px;color:#aaa;">Rate dishes with &#128077;&#128078; to improve your recommendations.</p>'
+        rating_hint = '<p style="font-size:11px;color:#aaa;">Rate dishes with &#128525; love it / &#128578; fine / &#128078; not for me to improve your recommendations.</p>'
 
     html = (
         f'<div style="font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;'
@@ -429,12 +492,20 @@ async def main() -> int:
     unique_names = list(set(d[0] for d in all_dishes))
     print(f"Total unique dishes: {len(unique_names)}")
 
-    cached = db.get_dishes_batch(unique_names)
+    # Dishes an admin flagged for re-embedding are redone even if not on today's menu
+    reembed_names = db.get_reembed_dish_names()
+    cached = db.get_dishes_batch(list(set(unique_names) | set(reembed_names)))
 
     # Step 4: Extract attributes for uncached dishes + backfill cached dishes missing attributes
     uncached = [n for n in unique_names if not cached.get(n)]
-    needs_attrs = [n for n in unique_names if cached.get(n) and not cached[n].get("flavor_profiles")]
-    to_extract = list(set(uncached + needs_attrs))
+    needs_attrs = [
+        n for n in unique_names
+        if cached.get(n)
+        and not cached[n].get("flavor_profiles")
+        and "flavor_profiles" not in cached[n]["manual_overrides"]
+    ]
+    reembed = [n for n in reembed_names if cached.get(n)]
+    to_extract = list(set(uncached + needs_attrs + reembed))
 
     if to_extract:
         label_parts = []
@@ -442,10 +513,12 @@ async def main() -> int:
             label_parts.append(f"{len(uncached)} new")
         if needs_attrs:
             label_parts.append(f"{len(needs_attrs)} backfill")
+        if reembed:
+            label_parts.append(f"{len(reembed)} re-embed")
         print(f"Extracting attributes for {len(to_extract)} dishes ({', '.join(label_parts)}) via LLM...")
 
         # Build normalized -> original name mapping
-        name_map: Dict[str, str] = {}
+        name_map: Dict[str, str] = dict(reembed_names)
         for norm, orig, _, _ in all_dishes:
             if norm not in name_map:
                 name_map[norm] = orig
@@ -457,7 +530,7 @@ async def main() -> int:
         new_dishes: Dict[str, Dict] = {}
         for norm_name in to_extract:
             orig = name_map.get(norm_name, norm_name)
-            attrs = attrs_map.get(orig, {})
+            attrs = keep_manual_overrides(attrs_map.get(orig, {}), cached.get(norm_name))
             ings = attrs.get("ingredients", [])
             vec = model.embed_ingredients(ings)
             new_dishes[norm_name] = {
@@ -518,7 +591,14 @@ async def main() -> int:
             for e in to_emails
         ]
     else:
-        print(f"Sending to {len(users)} subscriber(s).")
+        # Respect each subscriber's delivery schedule (days, pause)
+        scheduled = [u for u in users if wants_email_on(u, local_dt.date())]
+        skipped = len(users) - len(scheduled)
+        users = scheduled
+        print(f"Sending to {len(users)} subscriber(s) ({skipped} skipped by schedule).")
+        if not users:
+            print("No subscribers scheduled for today.")
+            return 0
 
     # Recompute stale preference vectors and track rating counts
     for user in users:
@@ -551,12 +631,18 @@ async def main() -> int:
             # Merge inferred rating signals with existing onboarding weights so that
             # the user's stated preferences (e.g. cuisine=1.0 from onboarding) are
             # preserved as a baseline that ratings adjust, not overwrite.
+            # Keys are lowercased (early onboarding stored 'Chinese'; lowercase
+            # entries sort last so they win) and values clamped like
+            # /api/profile does, so the stored maps stay valid input.
             merged = {}
             for key in ("flavor_weights", "method_weights", "cuisine_weights"):
-                existing = user.get(key) or {}
+                existing = {k.lower(): v for k, v in sorted((user.get(key) or {}).items(), key=lambda kv: kv[0] == kv[0].lower())}
                 delta = inferred.get(key, {})
                 all_keys = set(existing) | set(delta)
-                merged[key] = {k: existing.get(k, 0.0) + delta.get(k, 0.0) for k in all_keys}
+                merged[key] = {
+                    k: max(-MAX_ABS_WEIGHT, min(MAX_ABS_WEIGHT, existing.get(k, 0.0) + delta.get(k, 0.0)))
+                    for k in all_keys
+                }
             if any(merged.values()):
                 db.update_attribute_preferences(user["id"], **merged)
                 user["flavor_weights"]  = merged["flavor_weights"]
@@ -582,11 +668,12 @@ async def main() -> int:
 
         for user in users:
             recipient = user["email"]
-            token = generate_unsub_token(recipient, hmac_secret) if hmac_secret else ""
-
             # Build unsubscribe URL
             unsub_url = ""
             if hmac_secret and worker_url:
+                token = generate_action_token(
+                    hmac_secret, "unsubscribe", recipient, "", UNSUB_TOKEN_TTL
+                )
                 unsub_url = (
                     f"{worker_url}/api/unsubscribe"
                     f"?email={quote(recipient)}&token={token}"
@@ -604,6 +691,7 @@ async def main() -> int:
                     cuisine_weights=user.get("cuisine_weights", {}),
                     user_dietary=user.get("dietary_restrictions", []),
                     rating_count=user.get("_rating_count", 0),
+                    avoided_ingredients=user.get("avoided_ingredients", []),
                 )
                 print(f"  {recipient}: embedding-based recommendation")
             else:
@@ -643,15 +731,20 @@ async def main() -> int:
                 unsubscribe_url=unsub_url,
                 rating_base_url=worker_url,
                 recipient_email=recipient,
-                recipient_token=token,
+                hmac_secret=hmac_secret,
                 daily_menu_lookup=daily_menu_lookup,
                 date_str_iso=date_str_iso,
+                meal_buckets=user.get("meal_buckets"),
             )
 
             msg = EmailMessage()
             msg["Subject"] = subject
             msg["From"] = gmail_user
             msg["To"] = recipient
+            if unsub_url:
+                # RFC 8058 one-click: mail clients POST List-Unsubscribe=One-Click to this URL
+                msg["List-Unsubscribe"] = f"<{unsub_url}>"
+                msg["List-Unsubscribe-Post"] = "List-Unsubscribe=One-Click"
             msg.set_content("View this email in an HTML-capable client.")
             msg.add_alternative(body, subtype="html")
 
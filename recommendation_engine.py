@@ -21,6 +21,7 @@ INITIAL_WEIGHT = 1.0
 LIKED_WEIGHT = 0.5
 DISLIKED_WEIGHT = 0.3
 
+# Scoring constants are mirrored in app/functions/_shared/recommend.js
 VECTOR_WEIGHT = 0.75
 FLAVOR_WEIGHT = 0.08
 METHOD_WEIGHT = 0.07
@@ -223,6 +224,7 @@ def generate_recommendations(
     cuisine_weights: Optional[Dict[str, float]] = None,
     user_dietary: Optional[List[str]] = None,
     rating_count: int = 0,
+    avoided_ingredients: Optional[List[str]] = None,
 ) -> Dict[str, Any]:
     """Generate recommendations using hybrid scoring.
 
@@ -240,7 +242,8 @@ def generate_recommendations(
     preference vector more.
 
     Dishes incompatible with user_dietary restrictions are zeroed out
-    (only when the dish has non-empty dietary_attrs).
+    (only when the dish has non-empty dietary_attrs), as are dishes containing
+    any of the user's avoided_ingredients.
 
     When no attribute weight dicts are provided, falls back to pure cosine similarity.
 
@@ -259,6 +262,7 @@ def generate_recommendations(
     mw = method_weights or {}
     cw = cuisine_weights or {}
     dietary_set = set(user_dietary) if user_dietary else set()
+    avoided_set = {i.lower() for i in avoided_ingredients} if avoided_ingredients else set()
     has_attr_prefs = bool(fw or mw or cw)
 
     result: Dict[str, Any] = {}
@@ -284,6 +288,11 @@ def generate_recommendations(
                 if not _is_dietary_compatible(dish_attrs, dietary_set):
                     scored.append((item, 0.0))
                     continue
+                if avoided_set and dish_data and avoided_set & {
+                    i.lower() for i in dish_data.get("ingredients", [])
+                }:
+                    scored.append((item, 0.0))
+                    continue
 
                 if has_attr_prefs and dish_data:
                     flavor_score = weighted_attr_score(fw, dish_data.get("flavor_profiles", []))
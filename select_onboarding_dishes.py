@@ -1,7 +1,8 @@
 """Select 10 maximally diverse main dishes to show during onboarding.
 
 Algorithm: greedy farthest-point selection on 300-dim food2vec embeddings.
-Marks selected dishes with is_onboarding_dish = TRUE in Supabase.
+Marks selected dishes with is_onboarding_dish = TRUE in Supabase, replacing
+any set curated on the admin dashboard (Onboarding tab).
 
 Usage:
     python select_onboarding_dishes.py
@@ -87,35 +88,18 @@ def main() -> int:
         dist_to_new = 1.0 - sim_to_new
         min_dist = np.minimum(min_dist, dist_to_new)
 
-    selected_ids = {ids[i] for i in selected_indices}
-    all_ids = set(ids)
-
     print("Selected dishes:")
     for i in selected_indices:
         print(f"  [{ids[i]}] {names[i]}")
 
-    # Update is_onboarding_dish flags
+    # Replace the onboarding set (flags + order) in one transaction
     print("\nUpdating database...")
+    db.client.rpc(
+        "set_onboarding_dishes",
+        {"p_dish_ids": [ids[i] for i in selected_indices]},
+    ).execute()
 
-    # Set TRUE for selected (one update per dish — avoids GENERATED ALWAYS identity issue)
-    for did in selected_ids:
-        db.client.table("dishes").update({"is_onboarding_dish": True}).eq(
-            "id", did
-        ).execute()
-
-    # Set FALSE for non-selected (batch update)
-    non_selected_ids = list(all_ids - selected_ids)
-    if non_selected_ids:
-        batch_size = 100
-        for start in range(0, len(non_selected_ids), batch_size):
-            batch = non_selected_ids[start : start + batch_size]
-            db.client.table("dishes").update({"is_onboarding_dish": False}).in_(
-                "id", batch
-            ).execute()
-
-    print(
-        f"Done. {len(selected_ids)} onboarding dishes marked, {len(non_selected_ids)} cleared."
-    )
+    print(f"Done. {len(selected_indices)} onboarding dishes marked.")
     return 0
 
 
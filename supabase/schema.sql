@@ -7,11 +7,21 @@ CREATE EXTENSION IF NOT EXISTS vector;
 -- Replaces sub:{email}. Auto-populated via trigger on Google OAuth sign-up.
 
 CREATE TABLE public.profiles (
-    id          UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
-    email       TEXT NOT NULL UNIQUE,
-    subscribed  BOOLEAN NOT NULL DEFAULT TRUE,
-    created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
-    updated_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+    id              UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+    email           TEXT NOT NULL UNIQUE,
+    subscribed      BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Delivery schedule: which meal sections to email and on which days.
+    -- paused_until is the resume date of a temporary pause (subscribed is
+    -- FALSE meanwhile); the daily resume job re-subscribes on that date.
+    meal_buckets    TEXT[] NOT NULL DEFAULT '{breakfast_brunch,lunch,dinner}'
+                    CHECK (meal_buckets <@ ARRAY['breakfast_brunch', 'lunch', 'dinner']),
+    email_weekdays  BOOLEAN NOT NULL DEFAULT TRUE,
+    email_weekends  BOOLEAN NOT NULL DEFAULT TRUE,
+    paused_until    DATE,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at      TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- Turning off both would silently stop all email; that is what subscribed is for
+    CHECK (email_weekdays OR email_weekends)
 );
 
 -- Trigger: auto-create profile on sign-up (restrict to .edu emails)
@@ -45,12 +55,34 @@ CREATE TABLE public.dishes (
     dietary_attrs       TEXT[] NOT NULL DEFAULT '{}',
     dish_type           TEXT NOT NULL DEFAULT 'main',
     is_onboarding_dish  BOOLEAN NOT NULL DEFAULT FALSE,
+    -- Order on the onboarding page (1-based); NULL unless is_onboarding_dish
+    onboarding_position SMALLINT,
+    -- Attribute columns an admin corrected (/api/admin/dishes); the pipeline keeps their values
+    manual_overrides    TEXT[] NOT NULL DEFAULT '{}',
+    -- Set by admins; the next pipeline run re-extracts and re-embeds the dish, then clears it
+    needs_reembed       BOOLEAN NOT NULL DEFAULT FALSE,
     created_at          TIMESTAMPTZ NOT NULL DEFAULT now(),
     updated_at          TIMESTAMPTZ NOT NULL DEFAULT now()
 );
 
 CREATE INDEX idx_dishes_embedding ON public.dishes
     USING ivfflat (embedding vector_cosine_ops) WITH (lists = 50);
+CREATE INDEX idx_dishes_needs_reembed ON public.dishes(id) WHERE needs_reembed;
+
+-- Replaces the onboarding set in one transaction; positions follow the array
+-- order. Called with the service role by /api/admin/onboarding-dishes and
+-- select_onboarding_dishes.py.
+CREATE FUNCTION public.set_onboarding_dishes(p_dish_ids BIGINT[]) RETURNS void
+LANGUAGE sql AS $$
+    UPDATE public.dishes
+       SET is_onboarding_dish = FALSE, onboarding_position = NULL
+     WHERE is_onboarding_dish AND NOT (id = ANY (p_dish_ids));
+    UPDATE public.dishes d
+       SET is_onboarding_dish = TRUE, onboarding_position = s.position
+      FROM unnest(p_dish_ids) WITH ORDINALITY AS s(id, position)
+     WHERE d.id = s.id;
+$$;
+REVOKE EXECUTE ON FUNCTION public.set_onboarding_dishes(BIGINT[]) FROM PUBLIC, anon, authenticated;
 
 -- ─── user_preferences ───────────────────────────────────────────────────────
 -- Replaces initial_categories/initial_ingredients + preference_vector from pref:{email}
@@ -58,6 +90,7 @@ CREATE INDEX idx_dishes_embedding ON public.dishes
 CREATE TABLE public.user_preferences (
     user_id                UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
     initial_ingredients    TEXT[] NOT NULL DEFAULT '{}',
+    avoided_ingredients    TEXT[] NOT NULL DEFAULT '{}',
     preference_vector      vector(300),
     vector_stale           BOOLEAN NOT NULL DEFAULT TRUE,
     flavor_weights         JSONB NOT NULL DEFAULT '{}',
@@ -76,12 +109,17 @@ CREATE TABLE public.ratings (
     dish_id     BIGINT NOT NULL REFERENCES public.dishes(id) ON DELETE CASCADE,
     rating      SMALLINT NOT NULL CHECK (rating IN (1, -1)),
     strength    FLOAT NOT NULL DEFAULT 1.0,
+    -- Where the rating was cast; email ratings need a confirm POST on the rate
+    -- page, and 'import' marks rows restored from an uploaded export
+    source      TEXT NOT NULL DEFAULT 'web' CHECK (source IN ('email', 'web', 'onboarding', 'import')),
     menu_date   DATE NOT NULL,
     created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
     UNIQUE(user_id, dish_id, menu_date)
 );
 
 CREATE INDEX idx_ratings_user ON public.ratings(user_id, created_at DESC);
+CREATE INDEX idx_ratings_created ON public.ratings(created_at);
+CREATE INDEX idx_ratings_menu_date ON public.ratings(menu_date);
 
 -- ─── daily_menus ────────────────────────────────────────────────────────────
 -- Replaces menu:{date}. Links dishes to eateries/buckets on a given day.
@@ -97,6 +135,90 @@ CREATE TABLE public.daily_menus (
 
 CREATE INDEX idx_daily_menus_date ON public.daily_menus(menu_date);
 
+-- ─── unsubscribe_feedback ───────────────────────────────────────────────────
+-- Optional reason left on the unsubscribe confirmation page. Kept when the
+-- account is deleted (user_id is nulled) so admins can still analyze churn.
+
+CREATE TABLE public.unsubscribe_feedback (
+    id          BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    user_id     UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    reason      TEXT NOT NULL,
+    comment     TEXT,
+    created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ─── abuse_events ───────────────────────────────────────────────────────────
+-- One row per rate-limit window that was exceeded (written by the /api
+-- middleware on the first rejected request, not on every one). `subject` is
+-- the limited key: client IP, method + email-link token hash or user id
+-- depending on `key_type`.
+
+CREATE TABLE public.abuse_events (
+    id              BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    route           TEXT NOT NULL,
+    method          TEXT NOT NULL,
+    key_type        TEXT NOT NULL CHECK (key_type IN ('ip', 'token', 'user')),
+    subject         TEXT NOT NULL,
+    limit_count     INT NOT NULL,
+    window_seconds  INT NOT NULL,
+    ip              TEXT,
+    user_agent      TEXT,
+    created_at      TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_abuse_events_created ON public.abuse_events(created_at DESC);
+
+-- ─── user_roles ─────────────────────────────────────────────────────────────
+-- Staff access. 'analyst' can read the admin dashboard; 'admin' can also make
+-- changes and manage roles. Users without a row are regular students.
+-- Bootstrap the first admin by hand:
+--   INSERT INTO public.user_roles (user_id, role)
+--   SELECT id, 'admin' FROM public.profiles WHERE email = 'you@cornell.edu';
+
+CREATE TABLE public.user_roles (
+    user_id     UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+    role        TEXT NOT NULL CHECK (role IN ('analyst', 'admin')),
+    granted_by  UUID REFERENCES public.profiles(id) ON DELETE SET NULL,
+    granted_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- ─── admin_audit_log ───────────────────────────────────────────────────────
+-- Append-only record of every /api/admin/* mutation: who (actor), what
+-- (action, e.g. 'role.grant'), on what (target) and the changed fields before
+-- and after. No foreign keys, so entries outlive deleted accounts and rows;
+-- the trigger below rejects updates and deletes, even from the service role.
+
+CREATE TABLE public.admin_audit_log (
+    id            BIGINT GENERATED ALWAYS AS IDENTITY PRIMARY KEY,
+    actor_id      UUID,
+    actor_email   TEXT NOT NULL,
+    action        TEXT NOT NULL,
+    target_type   TEXT NOT NULL,
+    target_id     TEXT NOT NULL,
+    target_label  TEXT,
+    before        JSONB,
+    after         JSONB,
+    request_id    TEXT,
+    created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX idx_admin_audit_log_created ON public.admin_audit_log(created_at DESC);
+CREATE INDEX idx_admin_audit_log_target  ON public.admin_audit_log(target_type, target_id);
+
+CREATE FUNCTION public.reject_audit_log_change() RETURNS trigger
+LANGUAGE plpgsql AS $$
+BEGIN
+    RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$;
+
+CREATE TRIGGER admin_audit_log_append_only
+    BEFORE UPDATE OR DELETE ON public.admin_audit_log
+    FOR EACH ROW EXECUTE FUNCTION public.reject_audit_log_change();
+CREATE TRIGGER admin_audit_log_no_truncate
+    BEFORE TRUNCATE ON public.admin_audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION public.reject_audit_log_change();
+
 -- ─── Row Level Security ─────────────────────────────────────────────────────
 -- Users read/update own data; service role bypasses for Python pipeline.
 
@@ -105,6 +227,11 @@ ALTER TABLE public.user_preferences ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.ratings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.dishes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.daily_menus ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.user_roles ENABLE ROW LEVEL SECURITY;
+-- No policies: written and read only with the service role (unsubscribe, rate limiter, audit log + admin stats)
+ALTER TABLE public.unsubscribe_feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.abuse_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_audit_log ENABLE ROW LEVEL SECURITY;
 
 CREATE POLICY "Users read own profile"   ON public.profiles          FOR SELECT USING (auth.uid() = id);
 CREATE POLICY "Users update own profile" ON public.profiles          FOR UPDATE USING (auth.uid() = id);
@@ -113,3 +240,213 @@ CREATE POLICY "Users upsert own prefs"   ON public.user_preferences  FOR ALL
 CREATE POLICY "Users manage own ratings" ON public.ratings           FOR ALL    USING (auth.uid() = user_id);
 CREATE POLICY "Auth users read dishes"   ON public.dishes            FOR SELECT USING (auth.role() = 'authenticated');
 CREATE POLICY "Auth users read menus"    ON public.daily_menus       FOR SELECT USING (auth.role() = 'authenticated');
+-- Lets the app show staff navigation; roles are only written with the service role
+CREATE POLICY "Users read own role"      ON public.user_roles        FOR SELECT USING (auth.uid() = user_id);
+
+-- ─── rating_history (view) ──────────────────────────────────────────────────
+-- Ratings flattened with dish attributes and the eateries that served the dish
+-- that day. Backs the filterable, paginated GET /api/ratings.
+
+CREATE VIEW public.rating_history WITH (security_invoker = true) AS
+SELECT
+    r.id,
+    r.user_id,
+    r.dish_id,
+    r.rating,
+    r.strength,
+    r.source,
+    r.menu_date,
+    r.created_at,
+    d.source_name,
+    d.cuisine_type,
+    (
+        SELECT string_agg(DISTINCT m.eatery, ', ')
+        FROM public.daily_menus m
+        WHERE m.dish_id = r.dish_id AND m.menu_date = r.menu_date
+    ) AS eateries
+FROM public.ratings r
+JOIN public.dishes d ON d.id = r.dish_id;
+
+-- ─── ingredient_vocabulary (view) ───────────────────────────────────────────
+-- Distinct dishes.ingredients with how many dishes use each. Feeds the
+-- ingredient picker (GET /api/ingredients).
+
+CREATE VIEW public.ingredient_vocabulary WITH (security_invoker = true) AS
+SELECT
+    lower(i.ingredient) AS ingredient,
+    count(*)            AS dish_count
+FROM public.dishes d
+CROSS JOIN LATERAL unnest(d.ingredients) AS i(ingredient)
+GROUP BY lower(i.ingredient);
+
+-- ─── Admin stats (RPC) ──────────────────────────────────────────────────────
+-- Aggregates behind GET /api/admin/stats, so the function gets counts instead
+-- of raw rows. Ranges are campus-local calendar dates [p_from, p_to], both
+-- inclusive. Service role only.
+
+-- Midnight on `p_day` in the campus timezone (keeps created_at filters indexable)
+CREATE FUNCTION public.campus_day_start(p_day DATE) RETURNS TIMESTAMPTZ
+LANGUAGE sql IMMUTABLE AS $$
+    SELECT p_day::timestamp AT TIME ZONE 'America/New_York';
+$$;
+
+CREATE FUNCTION public.admin_signups_by_day(p_from DATE, p_to DATE)
+RETURNS TABLE (day DATE, count BIGINT)
+LANGUAGE sql STABLE AS $$
+    WITH counts AS (
+        SELECT (p.created_at AT TIME ZONE 'America/New_York')::date AS day, count(*) AS count
+        FROM public.profiles p
+        WHERE p.created_at >= public.campus_day_start(p_from)
+          AND p.created_at <  public.campus_day_start(p_to + 1)
+        GROUP BY 1
+    )
+    SELECT d::date, coalesce(c.count, 0)
+    FROM generate_series(p_from, p_to, INTERVAL '1 day') AS d
+    LEFT JOIN counts c ON c.day = d::date
+    ORDER BY d;
+$$;
+
+CREATE FUNCTION public.admin_ratings_by_day(p_from DATE, p_to DATE)
+RETURNS TABLE (day DATE, liked BIGINT, disliked BIGINT)
+LANGUAGE sql STABLE AS $$
+    WITH counts AS (
+        SELECT (r.created_at AT TIME ZONE 'America/New_York')::date AS day,
+               count(*) FILTER (WHERE r.rating = 1)  AS liked,
+               count(*) FILTER (WHERE r.rating = -1) AS disliked
+        FROM public.ratings r
+        WHERE r.created_at >= public.campus_day_start(p_from)
+          AND r.created_at <  public.campus_day_start(p_to + 1)
+        GROUP BY 1
+    )
+    SELECT d::date, coalesce(c.liked, 0), coalesce(c.disliked, 0)
+    FROM generate_series(p_from, p_to, INTERVAL '1 day') AS d
+    LEFT JOIN counts c ON c.day = d::date
+    ORDER BY d;
+$$;
+
+CREATE FUNCTION public.admin_ratings_by_source(p_from DATE, p_to DATE)
+RETURNS TABLE (source TEXT, count BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT r.source, count(*)
+    FROM public.ratings r
+    WHERE r.created_at >= public.campus_day_start(p_from)
+      AND r.created_at <  public.campus_day_start(p_to + 1)
+    GROUP BY r.source;
+$$;
+
+-- Most liked (p_rating = 1) or disliked (-1) dishes among ratings cast in the range
+CREATE FUNCTION public.admin_top_dishes(p_rating SMALLINT, p_from DATE, p_to DATE, p_limit INT DEFAULT 5)
+RETURNS TABLE (dish_id BIGINT, name TEXT, count BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT r.dish_id, coalesce(d.source_name, d.normalized_name), count(*)
+    FROM public.ratings r
+    JOIN public.dishes d ON d.id = r.dish_id
+    WHERE r.rating = p_rating
+      AND r.created_at >= public.campus_day_start(p_from)
+      AND r.created_at <  public.campus_day_start(p_to + 1)
+    GROUP BY r.dish_id, d.source_name, d.normalized_name
+    ORDER BY count(*) DESC, r.dish_id
+    LIMIT p_limit;
+$$;
+
+CREATE FUNCTION public.admin_unsubscribe_reasons(p_from DATE, p_to DATE)
+RETURNS TABLE (reason TEXT, count BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT f.reason, count(*)
+    FROM public.unsubscribe_feedback f
+    WHERE f.created_at >= public.campus_day_start(p_from)
+      AND f.created_at <  public.campus_day_start(p_to + 1)
+    GROUP BY f.reason
+    ORDER BY count(*) DESC;
+$$;
+
+CREATE FUNCTION public.admin_abuse_by_route(p_from DATE, p_to DATE)
+RETURNS TABLE (route TEXT, count BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT e.route, count(*)
+    FROM public.abuse_events e
+    WHERE e.created_at >= public.campus_day_start(p_from)
+      AND e.created_at <  public.campus_day_start(p_to + 1)
+    GROUP BY e.route
+    ORDER BY count(*) DESC;
+$$;
+
+-- Satisfaction analytics (/api/admin/satisfaction): one row per rating and
+-- group (p_group: eatery, bucket, cuisine_type or dish_type) for dishes served
+-- p_from..p_to, optionally in one meal bucket. Ratings carry no menu id, so a
+-- rating counts once for every eatery/bucket that served the dish that day.
+CREATE FUNCTION public.admin_satisfaction_ratings(
+    p_from DATE, p_to DATE, p_group TEXT, p_bucket TEXT DEFAULT NULL
+)
+RETURNS TABLE (rating_id BIGINT, menu_date DATE, group_key TEXT, rating SMALLINT)
+LANGUAGE sql STABLE AS $$
+    SELECT DISTINCT r.id,
+           r.menu_date,
+           CASE p_group
+               WHEN 'eatery'       THEN m.eatery
+               WHEN 'bucket'       THEN m.bucket
+               WHEN 'cuisine_type' THEN d.cuisine_type
+               WHEN 'dish_type'    THEN d.dish_type
+           END,
+           r.rating
+    FROM public.ratings r
+    JOIN public.daily_menus m ON m.dish_id = r.dish_id AND m.menu_date = r.menu_date
+    JOIN public.dishes d      ON d.id = r.dish_id
+    WHERE r.menu_date BETWEEN p_from AND p_to
+      AND (p_bucket IS NULL OR m.bucket = p_bucket);
+$$;
+
+-- Like/dislike totals per group over the whole range, busiest first
+CREATE FUNCTION public.admin_satisfaction_totals(
+    p_from DATE, p_to DATE, p_group TEXT, p_bucket TEXT DEFAULT NULL
+)
+RETURNS TABLE (group_key TEXT, liked BIGINT, disliked BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT s.group_key,
+           count(*) FILTER (WHERE s.rating = 1),
+           count(*) FILTER (WHERE s.rating = -1)
+    FROM public.admin_satisfaction_ratings(p_from, p_to, p_group, p_bucket) s
+    GROUP BY 1
+    ORDER BY count(*) DESC, 1;
+$$;
+
+-- Like/dislike counts per period (p_interval 'day' or 'week') for the groups
+-- in p_groups only, so the caller can keep the result under the row cap
+CREATE FUNCTION public.admin_satisfaction_series(
+    p_from DATE, p_to DATE, p_group TEXT, p_groups TEXT[],
+    p_interval TEXT DEFAULT 'week', p_bucket TEXT DEFAULT NULL
+)
+RETURNS TABLE (period DATE, group_key TEXT, liked BIGINT, disliked BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT date_trunc(p_interval, s.menu_date)::date,
+           s.group_key,
+           count(*) FILTER (WHERE s.rating = 1),
+           count(*) FILTER (WHERE s.rating = -1)
+    FROM public.admin_satisfaction_ratings(p_from, p_to, p_group, p_bucket) s
+    WHERE s.group_key = ANY (p_groups)
+    GROUP BY 1, 2
+    ORDER BY 1, 2;
+$$;
+
+-- The latest menu date and how many eateries were scraped for it
+CREATE FUNCTION public.admin_last_menu()
+RETURNS TABLE (menu_date DATE, eatery_count BIGINT)
+LANGUAGE sql STABLE AS $$
+    SELECT m.menu_date, count(DISTINCT m.eatery)
+    FROM public.daily_menus m
+    WHERE m.menu_date = (SELECT max(menu_date) FROM public.daily_menus)
+    GROUP BY m.menu_date;
+$$;
+
+REVOKE EXECUTE ON FUNCTION
+    public.admin_signups_by_day(DATE, DATE),
+    public.admin_ratings_by_day(DATE, DATE),
+    public.admin_ratings_by_source(DATE, DATE),
+    public.admin_top_dishes(SMALLINT, DATE, DATE, INT),
+    public.admin_unsubscribe_reasons(DATE, DATE),
+    public.admin_abuse_by_route(DATE, DATE),
+    public.admin_satisfaction_ratings(DATE, DATE, TEXT, TEXT),
+    public.admin_satisfaction_totals(DATE, DATE, TEXT, TEXT),
+    public.admin_satisfaction_series(DATE, DATE, TEXT, TEXT[], TEXT, TEXT),
+    public.admin_last_menu()
+FROM PUBLIC, anon, authenticated;
@@ -64,7 +64,7 @@ class SupabaseClient:
 
         resp = (
             self.client.table("dishes")
-            .select("id, normalized_name, source_name, ingredients, embedding, flavor_profiles, cooking_methods, cuisine_type, dietary_attrs, dish_type")
+            .select("id, normalized_name, source_name, ingredients, embedding, flavor_profiles, cooking_methods, cuisine_type, dietary_attrs, dish_type, manual_overrides, needs_reembed")
             .in_("normalized_name", names)
             .execute()
         )
@@ -81,14 +81,27 @@ class SupabaseClient:
                 "cuisine_type": row.get("cuisine_type", "other"),
                 "dietary_attrs": row.get("dietary_attrs", []),
                 "dish_type": row.get("dish_type", "main"),
+                "manual_overrides": row.get("manual_overrides") or [],
+                "needs_reembed": bool(row.get("needs_reembed")),
             }
 
         return {n: found.get(n) for n in names}
 
+    def get_reembed_dish_names(self) -> Dict[str, str]:
+        """Dishes an admin flagged for re-embedding: {normalized_name: source_name}."""
+        resp = (
+            self.client.table("dishes")
+            .select("normalized_name, source_name")
+            .eq("needs_reembed", True)
+            .execute()
+        )
+        return {row["normalized_name"]: row["source_name"] or row["normalized_name"] for row in resp.data}
+
     def upsert_dishes_batch(self, dishes: Dict[str, Dict]) -> None:
-        """Bulk upsert dishes with embeddings.
+        """Bulk upsert dishes with embeddings and clear their re-embed flag.
 
         dishes: {normalized_name: {ingredients, embedding, source_name}}
+        Callers must already have kept admin-overridden fields (manual_overrides).
         """
         if not dishes:
             return
@@ -107,6 +120,7 @@ class SupabaseClient:
                     "cuisine_type": data.get("cuisine_type", "other"),
                     "dietary_attrs": data.get("dietary_attrs", []),
                     "dish_type": data.get("dish_type", "main"),
+                    "needs_reembed": False,
                     "updated_at": now,
                 }
             )
@@ -132,15 +146,16 @@ class SupabaseClient:
     def get_subscribed_users(self) -> List[Dict[str, Any]]:
         """Fetch all subscribed users with their preferences.
 
-        Returns list of dicts with keys: id, email, initial_ingredients,
-        preference_vector, vector_stale, flavor_weights, method_weights,
-        cuisine_weights, dietary_restrictions.
+        Returns list of dicts with keys: id, email, meal_buckets,
+        email_weekdays, email_weekends, paused_until, initial_ingredients,
+        avoided_ingredients, preference_vector, vector_stale, flavor_weights,
+        method_weights, cuisine_weights, dietary_restrictions.
         """
         resp = (
             self.client.table("profiles")
             .select(
-                "id, email, "
-                "user_preferences(initial_ingredients, preference_vector, vector_stale, "
+                "id, email, meal_buckets, email_weekdays, email_weekends, paused_until, "
+                "user_preferences(initial_ingredients, avoided_ingredients, preference_vector, vector_stale, "
                 "flavor_weights, method_weights, cuisine_weights, dietary_restrictions)"
             )
             .eq("subscribed", True)
@@ -157,9 +172,16 @@ class SupabaseClient:
                 {
                     "id": row["id"],
                     "email": row["email"],
+                    "meal_buckets": row.get("meal_buckets"),
+                    "email_weekdays": row.get("email_weekdays", True),
+                    "email_weekends": row.get("email_weekends", True),
+                    "paused_until": row.get("paused_until"),
                     "initial_ingredients": (
                         prefs.get("initial_ingredients", []) if prefs else []
                     ),
+                    "avoided_ingredients": (
+                        prefs.get("avoided_ingredients", []) if prefs else []
+                    ),
                     "preference_vector": (
                         self._vector_to_list(prefs.get("preference_vector"))
                         if prefs